@@ -0,0 +1,105 @@
+// Read-only access to the counter contract from serverless functions
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createPublicClient, http } from 'viem';
+
+const DEFAULT_RPC_URL = 'https://testnet.rpc.nexus.xyz';
+const DEFAULT_CHAIN_ID = 3945;
+
+let deploymentPromise = null;
+let client = null;
+
+function readPublicJson(fileName) {
+    return readFile(path.join(process.cwd(), 'public', fileName), 'utf8').then(JSON.parse);
+}
+
+// Same deployments.json / contract.json the frontend loads (see vercel.json
+// includeFiles). DEPLOYMENT picks the entry, like ?deployment= in the browser.
+async function readDeployment() {
+    let deployment = { contract: 'contract.json' };
+    try {
+        const config = await readPublicJson('deployments.json');
+        const key = process.env.DEPLOYMENT || config.defaultDeployment;
+        deployment = config.deployments?.[key];
+        if (!deployment) throw new Error(`Unknown deployment "${key}"`);
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+    const contract = deployment.contract ? await readPublicJson(deployment.contract.replace(/^\.?\//, '')) : {};
+    return { ...contract, ...deployment };
+}
+
+function loadDeployment() {
+    if (!deploymentPromise) {
+        deploymentPromise = readDeployment().catch(e => {
+            deploymentPromise = null;
+            throw e;
+        });
+    }
+    return deploymentPromise;
+}
+
+async function getClient() {
+    if (!client) {
+        const { chain } = await loadDeployment();
+        const rpcUrl = process.env.NEXUS_RPC_URL || chain?.rpcUrl || DEFAULT_RPC_URL;
+        client = createPublicClient({ transport: http(rpcUrl) });
+    }
+    return client;
+}
+
+export async function getDeploymentChainId() {
+    const { chain } = await loadDeployment();
+    return chain?.id ?? DEFAULT_CHAIN_ID;
+}
+
+// Sign-In with Ethereum check through the RPC, so smart-contract wallets
+// (ERC-1271 / ERC-6492) verify as well as plain accounts
+export async function verifySiweSignature({ message, signature, domain, nonce }) {
+    return (await getClient()).verifySiweMessage({ message, signature, domain, nonce });
+}
+
+export async function readCounterContract(functionName, args = []) {
+    const { address, abi } = await loadDeployment();
+    return (await getClient()).readContract({ address, abi, functionName, args });
+}
+
+// Cooldown state for an address, judged by the latest block's timestamp rather
+// than the server clock. lastAction lets callers tell when the user acted again;
+// readyAt is converted to server time for scheduling.
+export async function getCooldownState(address) {
+    const [stats, cooldownSeconds, block] = await Promise.all([
+        readCounterContract('getUserStats', [address]),
+        readCounterContract('COOLDOWN_SECONDS'),
+        getClient().then(c => c.getBlock()),
+    ]);
+    const lastAction = Number(stats[2]);
+    const readySec = lastAction + Number(cooldownSeconds);
+    const chainNowSec = Number(block.timestamp);
+    return {
+        lastAction,
+        isReady: chainNowSec >= readySec,
+        readyAt: Date.now() + Math.max(0, readySec - chainNowSec) * 1000,
+    };
+}
+
+// What a player's share card shows: the global counter, their badge, lifetime
+// actions and position on the on-chain top list (rank is null outside it)
+export async function getPlayerSummary(address) {
+    const [count, stats, actions, topAddresses] = await Promise.all([
+        readCounterContract('count'),
+        readCounterContract('getUserStats', [address]),
+        readCounterContract('incrementCount', [address]),
+        readCounterContract('getTopAddresses'),
+    ]);
+    const tier = Number(stats[3]);
+    const rankIndex = topAddresses.findIndex(top => top.toLowerCase() === address.toLowerCase());
+    return {
+        count,
+        actions,
+        tier,
+        tierName: tier > 0 ? await readCounterContract('badgeNames', [BigInt(tier)]) : null,
+        rank: rankIndex >= 0 ? rankIndex + 1 : null,
+    };
+}
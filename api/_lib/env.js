@@ -0,0 +1,6 @@
+// Runtime environment checks shared by the serverless functions
+
+// `vercel dev`, or a plain Node process outside Vercel (tests, scripts)
+export function isLocalDev() {
+    return !process.env.VERCEL_ENV || process.env.VERCEL_ENV === 'development';
+}
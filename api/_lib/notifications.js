@@ -0,0 +1,84 @@
+// Farcaster mini-app notifications: POST to the client's notification URL with
+// the user's token, as described in the mini-app notifications spec. Tokens are
+// kept per FID in the store, written by the webhook (api/webhook.js).
+
+import { getStore } from './store.js';
+
+export const APP_URL = process.env.APP_URL || 'https://nexus-counter.vercel.app';
+
+// Hosts Farcaster clients hand out as notification URLs. Tokens and URLs can
+// arrive from the browser, so anything else is refused rather than fetched.
+const NOTIFICATION_HOSTS = (process.env.FARCASTER_NOTIFICATION_HOSTS || 'api.farcaster.xyz,api.warpcast.com')
+    .split(',')
+    .map(host => host.trim())
+    .filter(Boolean);
+
+export function isValidNotificationDetails(details) {
+    if (!details || typeof details.token !== 'string' || typeof details.url !== 'string') return false;
+    try {
+        const url = new URL(details.url);
+        return url.protocol === 'https:' && NOTIFICATION_HOSTS.includes(url.hostname);
+    } catch {
+        return false;
+    }
+}
+
+// Send one notification. notificationId makes retries idempotent on the client
+// side. Returns 'sent', 'invalid_token', 'rate_limited' or 'error'.
+export async function sendMiniAppNotification({ notificationDetails, notificationId, title, body, targetUrl = APP_URL }) {
+    if (!isValidNotificationDetails(notificationDetails)) return 'invalid_token';
+
+    try {
+        const response = await fetch(notificationDetails.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                notificationId,
+                title: title.slice(0, 32),
+                body: body.slice(0, 128),
+                targetUrl,
+                tokens: [notificationDetails.token],
+            }),
+        });
+        if (!response.ok) {
+            console.error(`Notification request failed with HTTP ${response.status}`);
+            return 'error';
+        }
+
+        const { result } = await response.json();
+        if (result?.successfulTokens?.includes(notificationDetails.token)) return 'sent';
+        if (result?.invalidTokens?.includes(notificationDetails.token)) return 'invalid_token';
+        if (result?.rateLimitedTokens?.includes(notificationDetails.token)) return 'rate_limited';
+        return 'error';
+    } catch (e) {
+        console.error('Failed to send notification:', e);
+        return 'error';
+    }
+}
+
+function notificationKey(fid) {
+    return `notifications:${fid}`;
+}
+
+export async function getNotificationDetails(fid) {
+    return getStore().get(notificationKey(fid));
+}
+
+export async function saveNotificationDetails(fid, notificationDetails) {
+    await getStore().set(notificationKey(fid), { ...notificationDetails, updatedAt: Date.now() });
+}
+
+export async function deleteNotificationDetails(fid) {
+    await getStore().delete(notificationKey(fid));
+}
+
+// Send to a user by FID using the stored token. Tokens the client reports as
+// invalid are dropped so they aren't tried again.
+export async function sendNotificationToFid(fid, { notificationId, title, body, targetUrl }) {
+    const notificationDetails = await getNotificationDetails(fid);
+    if (!notificationDetails) return 'no_token';
+
+    const result = await sendMiniAppNotification({ notificationDetails, notificationId, title, body, targetUrl });
+    if (result === 'invalid_token') await deleteNotificationDetails(fid);
+    return result;
+}
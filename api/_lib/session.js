@@ -0,0 +1,104 @@
+// Session tokens for off-chain features, issued by api/auth/verify.js after a
+// SIWE or Farcaster Quick Auth sign-in. Tokens are HMAC-signed with SESSION_SECRET
+// (base64url payload + "." + signature), so checking one needs no store lookup;
+// only sign-outs are recorded, with a TTL that ends when the token would have
+// expired anyway. Unused nonces expire after NONCE_TTL_MS the same way.
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { isLocalDev } from './env.js';
+import { getStore } from './store.js';
+
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+const NONCE_TTL_MS = 10 * 60 * 1000;
+
+let devSecret = null;
+
+function getSecret() {
+    if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+    // Each instance would sign with its own secret and reject the others' tokens
+    if (!isLocalDev()) throw new Error('SESSION_SECRET is not set');
+    // Fine for local testing; sessions stop verifying whenever the process restarts
+    if (!devSecret) {
+        console.warn('SESSION_SECRET is not set, using a random per-process secret');
+        devSecret = randomBytes(32).toString('hex');
+    }
+    return devSecret;
+}
+
+function sign(payload) {
+    return createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+// Nonces and sign-outs are written by one function and read by another, which run
+// in separate processes (also under `vercel dev`). The per-process memory store would
+// lose them, letting nonces be replayed and signed-out tokens keep working.
+function getSessionStore() {
+    const store = getStore();
+    if (store.perProcess) throw new Error('Sign-in needs a store shared between functions; use NOTIFICATION_STORE=file locally or connect Redis');
+    return store;
+}
+
+function revokedKey(jti) {
+    return `revoked-session:${jti}`;
+}
+
+// claims: { address?, chainId?, fid?, method: 'siwe' | 'farcaster' }
+export function createSessionToken(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    const session = { ...claims, jti: randomBytes(16).toString('hex'), iat: now, exp: now + SESSION_TTL_SECONDS };
+    const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, session };
+}
+
+// Session claims for a valid, unexpired and not signed-out token, otherwise null
+export async function verifySessionToken(token) {
+    const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+    let session;
+    try {
+        session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+    if (!(session.exp > Date.now() / 1000)) return null;
+    if (await getSessionStore().get(revokedKey(session.jti))) return null;
+    return session;
+}
+
+export function getBearerToken(req) {
+    const header = req.headers?.authorization ?? '';
+    return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+}
+
+// For endpoints that need a signed-in user: the session, or null
+export async function getSession(req) {
+    const token = getBearerToken(req);
+    return token ? verifySessionToken(token) : null;
+}
+
+export async function revokeSession(session) {
+    const ttlMs = session.exp * 1000 - Date.now();
+    if (ttlMs <= 0) return;
+    await getSessionStore().set(revokedKey(session.jti), { exp: session.exp }, ttlMs);
+}
+
+export async function createNonce(nonce) {
+    await getSessionStore().set(`auth-nonce:${nonce}`, { expiresAt: Date.now() + NONCE_TTL_MS }, NONCE_TTL_MS);
+}
+
+// Single use: a nonce is claimed and deleted in one step as soon as a sign-in
+// presents it, so concurrent sign-ins replaying the same message can't both pass
+export async function consumeNonce(nonce) {
+    const record = await getSessionStore().take(`auth-nonce:${nonce}`);
+    return !!record && record.expiresAt > Date.now();
+}
+
+// Domain sign-ins must be bound to: AUTH_DOMAIN, or the host the request came to
+export function getAuthDomain(req) {
+    return process.env.AUTH_DOMAIN || req.headers?.host;
+}
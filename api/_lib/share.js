@@ -0,0 +1,20 @@
+// Per-player share links: /share/<address> (rewritten to api/share.js) carries
+// the fc:miniapp embed, its image comes from api/share-image.js
+
+import { APP_URL } from './notifications.js';
+
+export function parseAddress(value) {
+    return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value) ? value.toLowerCase() : null;
+}
+
+// v is an opaque cache buster from the client, so each share gets a fresh card
+export function shareImageUrl(address, v) {
+    const params = new URLSearchParams({ address });
+    if (v) params.set('v', v);
+    return `${APP_URL}/api/share-image?${params}`;
+}
+
+// Where the embed button (and a browser visiting the share link) lands
+export function profileUrl(address) {
+    return `${APP_URL}/address/${address}`;
+}
@@ -0,0 +1,275 @@
+// Key-value store for server-side state (reminders, notification tokens, sign-in
+// nonces and revoked sessions). Pick the backend with NOTIFICATION_STORE:
+//   redis  - Upstash Redis / Vercel KV over its REST API (KV_REST_API_URL + KV_REST_API_TOKEN,
+//            or UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN); the default when those are set
+//   file   - JSON file at NOTIFICATION_STORE_PATH (default .data/store.json); local testing only
+//   memory - per-process Map; for tests, lost on every restart and not seen by other
+//            functions (sign-in refuses it, see session.js)
+// With none configured getStore() throws instead of silently losing data. Deployed
+// functions run on many short-lived instances, so outside local development only a
+// store marked `shared: true` is accepted. Any object with the same async
+// get/set/delete/take/list/getMany/setMany methods can be swapped in via setStore();
+// take(key) must read and delete in one atomic step, so concurrent callers can't
+// both get a value. getMany(keys) / setMany(entries, ttlMs) batch several keys into
+// one round trip (Redis MGET and a pipeline).
+// set(key, value, ttlMs) with a ttlMs lets the entry expire: it reads as missing
+// afterwards and is removed by the backend (Redis PX, pruned by the other two).
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { isLocalDev } from './env.js';
+
+const DEFAULT_FILE_PATH = '.data/store.json';
+
+// The memory and file stores keep { value, expiresAt? } entries
+function createEntry(value, ttlMs) {
+    return ttlMs ? { value, expiresAt: Date.now() + ttlMs } : { value };
+}
+
+function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== undefined && entry.expiresAt <= now;
+}
+
+function entryValue(entry) {
+    return entry && !isExpired(entry) ? entry.value ?? null : null;
+}
+
+export function createMemoryStore(initial = {}) {
+    const data = new Map(Object.entries(initial).map(([key, value]) => [key, createEntry(value)]));
+
+    function prune() {
+        const now = Date.now();
+        for (const [key, entry] of data) {
+            if (isExpired(entry, now)) data.delete(key);
+        }
+    }
+
+    return {
+        async get(key) {
+            return entryValue(data.get(key));
+        },
+        async set(key, value, ttlMs = null) {
+            prune();
+            data.set(key, createEntry(value, ttlMs));
+        },
+        async delete(key) {
+            data.delete(key);
+        },
+        async take(key) {
+            const value = entryValue(data.get(key));
+            data.delete(key);
+            return value;
+        },
+        async getMany(keys) {
+            return keys.map(key => entryValue(data.get(key)));
+        },
+        // entries: [key, value] pairs
+        async setMany(entries, ttlMs = null) {
+            prune();
+            for (const [key, value] of entries) data.set(key, createEntry(value, ttlMs));
+        },
+        // [key, value] pairs whose key starts with prefix
+        async list(prefix = '') {
+            return [...data.entries()]
+                .filter(([key, entry]) => key.startsWith(prefix) && !isExpired(entry))
+                .map(([key, entry]) => [key, entry.value]);
+        },
+        shared: false,
+        perProcess: true,
+    };
+}
+
+export function createFileStore(filePath = DEFAULT_FILE_PATH) {
+    const resolved = path.resolve(filePath);
+    // Serialize writes so concurrent requests don't clobber each other
+    let queue = Promise.resolve();
+
+    async function load() {
+        try {
+            return JSON.parse(await readFile(resolved, 'utf8'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return {};
+            throw e;
+        }
+    }
+
+    async function save(data) {
+        await mkdir(path.dirname(resolved), { recursive: true });
+        const tmpPath = `${resolved}.tmp`;
+        await writeFile(tmpPath, JSON.stringify(data, null, 2));
+        await rename(tmpPath, resolved);
+    }
+
+    // Resolves with fn's result once the change is written. Expired entries are
+    // dropped on every write, so the file doesn't keep growing with them.
+    function update(fn) {
+        const next = queue.then(async () => {
+            const data = await load();
+            const result = fn(data);
+            const now = Date.now();
+            for (const [key, entry] of Object.entries(data)) {
+                if (isExpired(entry, now)) delete data[key];
+            }
+            await save(data);
+            return result;
+        });
+        queue = next.catch(() => {});
+        return next;
+    }
+
+    return {
+        async get(key) {
+            await queue;
+            return entryValue((await load())[key]);
+        },
+        set(key, value, ttlMs = null) {
+            return update(data => { data[key] = createEntry(value, ttlMs); });
+        },
+        delete(key) {
+            return update(data => { delete data[key]; });
+        },
+        take(key) {
+            return update(data => {
+                const value = entryValue(data[key]);
+                delete data[key];
+                return value;
+            });
+        },
+        async getMany(keys) {
+            await queue;
+            const data = await load();
+            return keys.map(key => entryValue(data[key]));
+        },
+        setMany(entries, ttlMs = null) {
+            return update(data => {
+                for (const [key, value] of entries) data[key] = createEntry(value, ttlMs);
+            });
+        },
+        async list(prefix = '') {
+            await queue;
+            return Object.entries(await load())
+                .filter(([key, entry]) => key.startsWith(prefix) && !isExpired(entry))
+                .map(([key, entry]) => [key, entry.value]);
+        },
+        shared: false,
+    };
+}
+
+// Redis through the Upstash REST API (what Vercel KV and the Upstash integration
+// provide). Values are stored as JSON strings.
+export function createRedisStore({ url, token }) {
+    async function command(...args) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(args),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || data.error) {
+            throw new Error(`Redis ${args[0]} failed: ${data.error ?? `HTTP ${response.status}`}`);
+        }
+        return data.result;
+    }
+
+    // Several commands in one request; throws if any of them failed
+    async function pipeline(commands) {
+        const response = await fetch(`${url}/pipeline`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(commands),
+        });
+        const data = await response.json().catch(() => null);
+        const failed = Array.isArray(data) ? data.find(item => item.error) : null;
+        if (!response.ok || !Array.isArray(data) || failed) {
+            throw new Error(`Redis pipeline failed: ${failed?.error ?? data?.error ?? `HTTP ${response.status}`}`);
+        }
+        return data.map(item => item.result);
+    }
+
+    function setCommand(key, value, ttlMs) {
+        return ttlMs
+            ? ['SET', key, JSON.stringify(value), 'PX', Math.ceil(ttlMs)]
+            : ['SET', key, JSON.stringify(value)];
+    }
+
+    return {
+        async get(key) {
+            const value = await command('GET', key);
+            return value === null ? null : JSON.parse(value);
+        },
+        async set(key, value, ttlMs = null) {
+            await command(...setCommand(key, value, ttlMs));
+        },
+        async delete(key) {
+            await command('DEL', key);
+        },
+        async take(key) {
+            const value = await command('GETDEL', key);
+            return value === null ? null : JSON.parse(value);
+        },
+        async getMany(keys) {
+            if (keys.length === 0) return [];
+            const values = await command('MGET', ...keys);
+            return values.map(value => (value === null ? null : JSON.parse(value)));
+        },
+        async setMany(entries, ttlMs = null) {
+            if (entries.length === 0) return;
+            await pipeline(entries.map(([key, value]) => setCommand(key, value, ttlMs)));
+        },
+        async list(prefix = '') {
+            const pattern = `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+            const keys = [];
+            let cursor = '0';
+            do {
+                const [next, batch] = await command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 500);
+                cursor = String(next);
+                keys.push(...batch);
+            } while (cursor !== '0');
+            if (keys.length === 0) return [];
+
+            const values = await command('MGET', ...keys);
+            return keys
+                .map((key, i) => [key, values[i] === null ? null : JSON.parse(values[i])])
+                .filter(([, value]) => value !== null);
+        },
+        shared: true,
+    };
+}
+
+function getRedisConfig() {
+    const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+    const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+    return url && token ? { url, token } : null;
+}
+
+function createConfiguredStore() {
+    const redis = getRedisConfig();
+    const kind = process.env.NOTIFICATION_STORE || (redis ? 'redis' : null);
+    switch (kind) {
+        case 'redis':
+            if (!redis) throw new Error('NOTIFICATION_STORE=redis needs KV_REST_API_URL and KV_REST_API_TOKEN');
+            return createRedisStore(redis);
+        case 'file':
+            return createFileStore(process.env.NOTIFICATION_STORE_PATH || DEFAULT_FILE_PATH);
+        case 'memory':
+            return createMemoryStore();
+        case null:
+            throw new Error('No store configured: connect Upstash Redis / Vercel KV (KV_REST_API_URL, KV_REST_API_TOKEN), or set NOTIFICATION_STORE=file for local testing');
+        default:
+            throw new Error(`Unknown NOTIFICATION_STORE "${kind}"`);
+    }
+}
+
+let store = null;
+
+export function getStore() {
+    store ??= createConfiguredStore();
+    if (!store.shared && !isLocalDev()) {
+        throw new Error('The configured store is per-instance and would lose data between requests; connect Upstash Redis / Vercel KV');
+    }
+    return store;
+}
+
+export function setStore(customStore) {
+    store = customStore;
+}
@@ -0,0 +1,21 @@
+// GET -> { nonce } for a Sign-In with Ethereum message (single use, 10 minutes)
+
+import { generateSiweNonce } from 'viem/siwe';
+import { createNonce } from '../_lib/session.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const nonce = generateSiweNonce();
+        await createNonce(nonce);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json({ nonce });
+    } catch (e) {
+        console.error('Failed to create nonce:', e);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+}
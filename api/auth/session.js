@@ -0,0 +1,25 @@
+// The current session (Authorization: Bearer <token>).
+//   GET     -> { session }  or 401
+//   DELETE  sign out; the token stops verifying immediately
+
+import { getSession, revokeSession } from '../_lib/session.js';
+
+export default async function handler(req, res) {
+    try {
+        const session = await getSession(req);
+        switch (req.method) {
+            case 'GET':
+                if (!session) return res.status(401).json({ error: 'Not signed in' });
+                return res.status(200).json({ session });
+            case 'DELETE':
+                if (session) await revokeSession(session);
+                return res.status(200).json({ ok: true });
+            default:
+                res.setHeader('Allow', 'GET, DELETE');
+                return res.status(405).json({ error: 'Method not allowed' });
+        }
+    } catch (e) {
+        console.error('Session request failed:', e);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+}
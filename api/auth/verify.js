@@ -0,0 +1,80 @@
+// Exchange a sign-in for a session token.
+//   POST { method: 'siwe', message, signature }  Sign-In with Ethereum (nonce from /api/auth/nonce)
+//   POST { method: 'farcaster', token }          Farcaster Quick Auth JWT (sdk.quickAuth.getToken)
+// -> { token, session }
+//
+// QUICK_AUTH_SERVER_ORIGIN points Quick Auth verification at a stand-in server
+// for local testing (default: Farcaster's public instance).
+
+import { createClient, Errors } from '@farcaster/quick-auth';
+import { parseSiweMessage } from 'viem/siwe';
+import { getDeploymentChainId, verifySiweSignature } from '../_lib/chain.js';
+import { consumeNonce, createSessionToken, getAuthDomain } from '../_lib/session.js';
+
+// jose errors quick-auth passes through for tokens that are malformed or signed
+// with an unknown key (expired / wrong audience arrive as InvalidTokenError)
+const INVALID_JWT_CODES = ['ERR_JWS_INVALID', 'ERR_JWS_SIGNATURE_VERIFICATION_FAILED', 'ERR_JWKS_NO_MATCHING_KEY', 'ERR_JWT_INVALID'];
+
+let quickAuthClient = null;
+
+function getQuickAuthClient() {
+    if (!quickAuthClient) {
+        quickAuthClient = createClient(process.env.QUICK_AUTH_SERVER_ORIGIN ? { origin: process.env.QUICK_AUTH_SERVER_ORIGIN } : {});
+    }
+    return quickAuthClient;
+}
+
+async function verifySiwe({ message, signature }, domain) {
+    if (typeof message !== 'string' || typeof signature !== 'string') return { error: 'Expected { message, signature }' };
+
+    const fields = parseSiweMessage(message);
+    if (!fields.address || !fields.nonce) return { error: 'Malformed SIWE message' };
+    if (fields.domain !== domain) return { error: 'SIWE message is for another domain' };
+    if (fields.chainId !== await getDeploymentChainId()) return { error: 'SIWE message is for another chain' };
+    // Consumed before the signature check, so a nonce can't be probed repeatedly
+    if (!(await consumeNonce(fields.nonce))) return { error: 'Unknown or expired nonce' };
+
+    // Also validates expirationTime / notBefore from the message
+    const valid = await verifySiweSignature({ message, signature, domain, nonce: fields.nonce });
+    if (!valid) return { error: 'Invalid signature' };
+    return { claims: { method: 'siwe', address: fields.address, chainId: fields.chainId } };
+}
+
+async function verifyFarcaster({ token }, domain) {
+    if (typeof token !== 'string') return { error: 'Expected { token }' };
+    try {
+        const payload = await getQuickAuthClient().verifyJwt({ token, domain });
+        return { claims: { method: 'farcaster', fid: Number(payload.sub), address: payload.address ?? null } };
+    } catch (e) {
+        if (e instanceof Errors.InvalidTokenError || INVALID_JWT_CODES.includes(e.code)) return { error: 'Invalid Quick Auth token' };
+        throw e;
+    }
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const domain = getAuthDomain(req);
+    try {
+        let result;
+        switch (req.body?.method) {
+            case 'siwe':
+                result = await verifySiwe(req.body, domain);
+                break;
+            case 'farcaster':
+                result = await verifyFarcaster(req.body, domain);
+                break;
+            default:
+                return res.status(400).json({ error: "Expected method 'siwe' or 'farcaster'" });
+        }
+        if (result.error) return res.status(401).json({ error: result.error });
+
+        return res.status(200).json(createSessionToken(result.claims));
+    } catch (e) {
+        console.error('Sign-in verification failed:', e);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+}
@@ -0,0 +1,114 @@
+// Farcaster profiles for wallet addresses.
+//   GET ?addresses=0x..,0x..  ->  { profiles: { [lowercased address]: { fid, username, displayName, pfpUrl } } }
+// Addresses without a Farcaster account are left out.
+//
+// Lookup source, in order of preference:
+//   NEYNAR_API_KEY          Neynar's bulk-by-address API (verified addresses)
+//   IDENTITY_FIXTURE_PATH   JSON file of address -> profile, for local testing
+// Results (including misses) are cached in the store for IDENTITY_CACHE_MS, read and
+// written in one batch per request, and expire from the store after that.
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { getStore } from './_lib/store.js';
+
+const IDENTITY_CACHE_MS = 6 * 60 * 60 * 1000;
+const MAX_ADDRESSES = 100;
+const NEYNAR_BULK_BY_ADDRESS_URL = 'https://api.neynar.com/v2/farcaster/user/bulk-by-address';
+
+function identityKey(address) {
+    return `identity:${address}`;
+}
+
+async function lookupWithNeynar(addresses) {
+    const url = `${NEYNAR_BULK_BY_ADDRESS_URL}?addresses=${addresses.join(',')}`;
+    const response = await fetch(url, { headers: { 'x-api-key': process.env.NEYNAR_API_KEY } });
+    // 404 means none of the addresses belong to a Farcaster user
+    if (response.status === 404) return {};
+    if (!response.ok) throw new Error(`Neynar returned HTTP ${response.status}`);
+
+    const users = await response.json();
+    return Object.fromEntries(
+        Object.entries(users)
+            .filter(([, matches]) => matches?.length > 0)
+            .map(([address, [user]]) => [address.toLowerCase(), {
+                fid: user.fid,
+                username: user.username,
+                displayName: user.display_name ?? null,
+                pfpUrl: user.pfp_url ?? null,
+            }])
+    );
+}
+
+let fixturePromise = null;
+
+async function lookupWithFixture(addresses) {
+    // Not cached on failure, so fixing the file doesn't need a restart
+    fixturePromise ??= readFile(path.resolve(process.env.IDENTITY_FIXTURE_PATH), 'utf8').then(JSON.parse).catch(e => {
+        fixturePromise = null;
+        throw e;
+    });
+    const fixture = Object.fromEntries(
+        Object.entries(await fixturePromise).map(([address, profile]) => [address.toLowerCase(), profile])
+    );
+    return Object.fromEntries(addresses.filter(address => fixture[address]).map(address => [address, fixture[address]]));
+}
+
+function getLookup() {
+    if (process.env.NEYNAR_API_KEY) return lookupWithNeynar;
+    if (process.env.IDENTITY_FIXTURE_PATH) return lookupWithFixture;
+    return null;
+}
+
+export async function resolveProfiles(addresses) {
+    const store = getStore();
+    const now = Date.now();
+    const profiles = {};
+    const missing = [];
+
+    const cachedEntries = await store.getMany(addresses.map(identityKey));
+    addresses.forEach((address, i) => {
+        const cached = cachedEntries[i];
+        if (cached && now - cached.fetchedAt < IDENTITY_CACHE_MS) {
+            if (cached.profile) profiles[address] = cached.profile;
+        } else {
+            missing.push(address);
+        }
+    });
+
+    const lookup = getLookup();
+    if (missing.length > 0 && lookup) {
+        const found = await lookup(missing);
+        const entries = missing.map(address => [identityKey(address), { profile: found[address] ?? null, fetchedAt: now }]);
+        await store.setMany(entries, IDENTITY_CACHE_MS);
+        for (const address of missing) {
+            if (found[address]) profiles[address] = found[address];
+        }
+    }
+
+    return profiles;
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const addresses = [...new Set(String(req.query?.addresses ?? '')
+        .split(',')
+        .map(address => address.trim().toLowerCase())
+        .filter(Boolean))];
+    if (addresses.length === 0 || addresses.length > MAX_ADDRESSES || !addresses.every(address => /^0x[0-9a-f]{40}$/.test(address))) {
+        return res.status(400).json({ error: `Expected ?addresses= with 1-${MAX_ADDRESSES} comma-separated addresses` });
+    }
+
+    try {
+        const profiles = await resolveProfiles(addresses);
+        res.setHeader('Cache-Control', 'public, max-age=300');
+        return res.status(200).json({ profiles });
+    } catch (e) {
+        console.error('Identity lookup failed:', e);
+        return res.status(502).json({ error: 'Identity lookup failed' });
+    }
+}
@@ -0,0 +1,161 @@
+// Cooldown-ready reminders for Farcaster users.
+// POST and DELETE need `Authorization: Bearer <session token>` for the same fid.
+//   POST   { fid, address, readyAt, notificationDetails? }  opt in / update the due time
+//          (notificationDetails is a fallback for when the webhook has no token yet)
+//   DELETE ?fid=123                                         opt out
+//   GET    (cron every minute, see vercel.json)             send reminders that are due
+//
+// The chain is the source of truth: before sending, the cooldown is re-read, so a
+// reminder moves to the new end time when the user acted again from any device.
+
+import { getCooldownState } from './_lib/chain.js';
+import {
+    APP_URL,
+    getNotificationDetails,
+    isValidNotificationDetails,
+    sendMiniAppNotification,
+    sendNotificationToFid,
+} from './_lib/notifications.js';
+import { isLocalDev } from './_lib/env.js';
+import { getSession } from './_lib/session.js';
+import { getStore } from './_lib/store.js';
+
+// How often to look again at users who were already notified for their last action
+const RECHECK_MS = 10 * 60 * 1000;
+
+export function reminderKey(fid) {
+    return `reminder:${fid}`;
+}
+
+function parseFid(value) {
+    const fid = Number(value);
+    return Number.isSafeInteger(fid) && fid > 0 ? fid : null;
+}
+
+// Reminders can only be managed by the Farcaster user they belong to: the request
+// needs a session from a Quick Auth sign-in (api/auth/verify.js) for this fid
+async function authorizeFid(req, fid) {
+    const session = await getSession(req);
+    if (!session?.fid) return { status: 401, error: 'Sign in with Farcaster first' };
+    if (session.fid !== fid) return { status: 403, error: 'Forbidden' };
+    return null;
+}
+
+async function saveReminder(req, res) {
+    const { address, readyAt, notificationDetails } = req.body ?? {};
+    const fid = parseFid(req.body?.fid);
+    if (!fid || typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address) || !Number.isFinite(readyAt)) {
+        return res.status(400).json({ error: 'Expected { fid, address, readyAt }' });
+    }
+    if (notificationDetails !== undefined && notificationDetails !== null && !isValidNotificationDetails(notificationDetails)) {
+        return res.status(400).json({ error: 'Invalid notificationDetails' });
+    }
+    const denied = await authorizeFid(req, fid);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+
+    const store = getStore();
+    const existing = await store.get(reminderKey(fid));
+    const details = notificationDetails ?? existing?.notificationDetails ?? null;
+    if (!details && !(await getNotificationDetails(fid))) {
+        return res.status(409).json({ error: 'Notifications are not enabled for this user' });
+    }
+
+    await store.set(reminderKey(fid), {
+        fid,
+        address,
+        readyAt,
+        notificationDetails: details,
+        notifiedAction: existing?.address === address ? existing.notifiedAction ?? null : null,
+        updatedAt: Date.now(),
+    });
+    return res.status(200).json({ ok: true });
+}
+
+async function deleteReminder(req, res) {
+    const fid = parseFid(req.query?.fid);
+    if (!fid) return res.status(400).json({ error: 'Expected ?fid=' });
+    const denied = await authorizeFid(req, fid);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+    await getStore().delete(reminderKey(fid));
+    return res.status(200).json({ ok: true });
+}
+
+export async function deliverDueReminders() {
+    const store = getStore();
+    const now = Date.now();
+    let sent = 0;
+
+    for (const [key, reminder] of await store.list('reminder:')) {
+        if (reminder.readyAt > now) continue;
+
+        let state;
+        try {
+            state = await getCooldownState(reminder.address);
+        } catch (e) {
+            console.error(`Failed to read cooldown for ${reminder.address}:`, e);
+            continue;
+        }
+
+        // Acted again (maybe from another device): wait for the new cooldown instead
+        if (!state.isReady) {
+            await store.set(key, { ...reminder, readyAt: state.readyAt });
+            continue;
+        }
+        // Never acted, or already reminded about this action
+        if (state.lastAction === 0 || reminder.notifiedAction === state.lastAction) {
+            await store.set(key, { ...reminder, readyAt: now + RECHECK_MS });
+            continue;
+        }
+
+        const notification = {
+            notificationId: `cooldown-${reminder.fid}-${state.lastAction}`,
+            title: '⏰ Cooldown over',
+            body: 'You can increment or decrement the Nexus Counter again.',
+            targetUrl: APP_URL,
+        };
+        let result = await sendNotificationToFid(reminder.fid, notification);
+        if (result === 'no_token') {
+            result = await sendMiniAppNotification({ notificationDetails: reminder.notificationDetails, ...notification });
+        }
+
+        if (result === 'invalid_token') {
+            await store.delete(key);
+        } else if (result === 'sent') {
+            sent += 1;
+            await store.set(key, { ...reminder, notifiedAction: state.lastAction, readyAt: now + RECHECK_MS });
+        }
+        // rate_limited / error: left as is and retried on the next run
+    }
+
+    return { sent };
+}
+
+export default async function handler(req, res) {
+    try {
+        switch (req.method) {
+            case 'POST':
+                return await saveReminder(req, res);
+            case 'DELETE':
+                return await deleteReminder(req, res);
+            case 'GET': {
+                // Vercel cron sends the CRON_SECRET as a bearer token. Without one the
+                // endpoint is only open for local development.
+                const secret = process.env.CRON_SECRET;
+                if (!secret && !isLocalDev()) {
+                    console.error('CRON_SECRET is not set, refusing to deliver reminders');
+                    return res.status(500).json({ error: 'CRON_SECRET is not configured' });
+                }
+                if (secret && req.headers.authorization !== `Bearer ${secret}`) {
+                    return res.status(401).json({ error: 'Unauthorized' });
+                }
+                return res.status(200).json(await deliverDueReminders());
+            }
+            default:
+                res.setHeader('Allow', 'GET, POST, DELETE');
+                return res.status(405).json({ error: 'Method not allowed' });
+        }
+    } catch (e) {
+        console.error('Reminder request failed:', e);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+}
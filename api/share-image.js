@@ -0,0 +1,97 @@
+// Share card for one player: GET /api/share-image?address=0x...  ->  1200x800 PNG
+// (3:2, as Farcaster embeds expect). Read live from the contract, so the card
+// shows the counter, badge, action count and rank at the time it's fetched.
+
+import { ImageResponse } from '@vercel/og';
+import { getPlayerSummary } from './_lib/chain.js';
+import { parseAddress } from './_lib/share.js';
+import { resolveProfiles } from './identities.js';
+
+const WIDTH = 1200;
+const HEIGHT = 800;
+
+// Same colors as the on-chain badge SVG (_tierColor in contract.sol)
+const TIER_COLORS = ['#6b7280', '#cd7f32', '#c0c0c0', '#ffd700', '#ff69b4', '#00ffff', '#3b82f6', '#a855f7'];
+
+// Minimal element helper; @vercel/og takes React-like { type, props } trees
+function h(type, style, ...children) {
+    return { type, props: { style: { display: 'flex', ...style }, children } };
+}
+
+function formatAddress(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// Inline the avatar so a slow or broken image host can't fail the render
+async function fetchAvatar(url) {
+    if (!url?.startsWith('https://')) return null;
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(3000) });
+        const type = response.headers.get('content-type') ?? '';
+        if (!response.ok || !/^image\/(png|jpeg)/.test(type)) return null;
+        return `data:${type};base64,${Buffer.from(await response.arrayBuffer()).toString('base64')}`;
+    } catch {
+        return null;
+    }
+}
+
+function stat(label, value, color = '#ffffff') {
+    return h('div', { flexDirection: 'column', flex: 1, padding: '28px 32px', borderRadius: 24, backgroundColor: '#26262b' },
+        h('div', { fontSize: 28, color: '#9ca3af' }, label),
+        h('div', { fontSize: 52, fontWeight: 700, color, marginTop: 8 }, value),
+    );
+}
+
+export function renderShareCard({ address, profile, avatar, summary }) {
+    const name = profile?.username ? `@${profile.username}` : formatAddress(address);
+    const tierColor = TIER_COLORS[summary.tier] ?? TIER_COLORS[0];
+    // "Gold Counter Badge" -> "Gold", to fit the stat box
+    const badge = summary.tierName ? summary.tierName.replace(/\s*counter badge$/i, '') : 'No badge yet';
+
+    return h('div', { width: WIDTH, height: HEIGHT, flexDirection: 'column', padding: 64, backgroundColor: '#1B1B1E', color: '#ffffff' },
+        h('div', { alignItems: 'center', justifyContent: 'space-between' },
+            h('div', { fontSize: 36, letterSpacing: 6, color: '#a5b4fc' }, 'NEXUS COUNTER'),
+            h('div', { alignItems: 'center' },
+                avatar ? { type: 'img', props: { src: avatar, width: 72, height: 72, style: { borderRadius: 36, marginRight: 20 } } } : null,
+                h('div', { fontSize: 40, fontWeight: 700 }, name),
+            ),
+        ),
+        h('div', { flexDirection: 'column', flex: 1, justifyContent: 'center', alignItems: 'center' },
+            h('div', { fontSize: 32, color: '#9ca3af' }, 'Global counter'),
+            h('div', { fontSize: 200, fontWeight: 700, lineHeight: 1 }, summary.count.toString()),
+        ),
+        h('div', { gap: 24 },
+            stat('Badge', badge, tierColor),
+            stat('Actions', summary.actions.toString()),
+            stat('Rank', summary.rank ? `#${summary.rank}` : 'Unranked'),
+        ),
+    );
+}
+
+export default async function handler(req, res) {
+    const address = parseAddress(req.query?.address);
+    if (!address) return res.status(400).json({ error: 'Expected ?address=0x...' });
+
+    try {
+        const [summary, profiles] = await Promise.all([
+            getPlayerSummary(address),
+            resolveProfiles([address]).catch(e => {
+                console.warn('Identity lookup failed for share card:', e);
+                return {};
+            }),
+        ]);
+        const profile = profiles[address] ?? null;
+        const avatar = await fetchAvatar(profile?.pfpUrl);
+
+        const image = new ImageResponse(renderShareCard({ address, profile, avatar, summary }), { width: WIDTH, height: HEIGHT });
+        const png = Buffer.from(await image.arrayBuffer());
+
+        res.setHeader('Content-Type', 'image/png');
+        // Short enough that re-shared links pick up new stats
+        res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=300');
+        return res.status(200).send(png);
+    } catch (e) {
+        console.error('Failed to render share image:', e);
+        return res.status(500).json({ error: 'Failed to render share image' });
+    }
+}
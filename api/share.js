@@ -0,0 +1,67 @@
+// Share page for one player: GET /share/<address>?v=...
+// Farcaster and link previewers read the fc:miniapp / Open Graph tags; people
+// opening it in a browser are sent on to the player's profile in the app.
+
+import { APP_URL } from './_lib/notifications.js';
+import { parseAddress, profileUrl, shareImageUrl } from './_lib/share.js';
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/'/g, '&#39;').replace(/</g, '&lt;');
+}
+
+export function renderSharePage(address, v) {
+    const imageUrl = shareImageUrl(address, v);
+    const targetUrl = profileUrl(address);
+    const embed = {
+        version: '1',
+        imageUrl,
+        button: {
+            title: 'Play Nexus Counter',
+            action: {
+                type: 'launch_frame',
+                name: 'Nexus Counter',
+                url: targetUrl,
+                splashImageUrl: `${APP_URL}/splash.png`,
+                splashBackgroundColor: '#1B1B1E',
+            },
+        },
+    };
+    const title = 'Nexus Counter';
+    const description = 'Increment the global counter, earn evolving badges and climb the leaderboard.';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${title}</title>
+    <meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:image" content="${escapeAttribute(imageUrl)}">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:image" content="${escapeAttribute(imageUrl)}">
+    <meta name="fc:miniapp" content="${escapeAttribute(JSON.stringify(embed))}">
+    <meta http-equiv="refresh" content="0; url=${escapeAttribute(targetUrl)}">
+</head>
+<body>
+    <a href="${escapeAttribute(targetUrl)}">Open Nexus Counter</a>
+</body>
+</html>`;
+}
+
+export default function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const address = parseAddress(req.query?.address);
+    if (!address) {
+        res.setHeader('Location', APP_URL);
+        return res.status(302).end();
+    }
+
+    const v = typeof req.query.v === 'string' ? req.query.v.slice(0, 32) : '';
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.status(200).send(renderSharePage(address, v));
+}
@@ -0,0 +1,82 @@
+// Farcaster mini-app webhook (webhookUrl in .well-known/farcaster.json).
+// Events arrive as JSON Farcaster Signatures; the signature is checked and the
+// signing app key is verified as belonging to the user's FID before anything is
+// stored. Notification tokens are kept per FID (see _lib/notifications.js).
+//
+// App key verification, in order of preference:
+//   NEYNAR_API_KEY       verify through Neynar
+//   FARCASTER_HUB_URL    verify against a Farcaster hub's on-chain signers
+//   FARCASTER_VERIFY_APP_KEY=skip  signature only, for local development; refused
+//                                  when deployed, where any key could store tokens for any FID
+
+import {
+    createVerifyAppKeyWithHub,
+    parseWebhookEvent,
+    verifyAppKeyWithNeynar,
+} from '@farcaster/miniapp-node';
+import { isLocalDev } from './_lib/env.js';
+import { deleteNotificationDetails, saveNotificationDetails } from './_lib/notifications.js';
+import { getStore } from './_lib/store.js';
+import { reminderKey } from './reminders.js';
+
+function getAppKeyVerifier() {
+    if (process.env.NEYNAR_API_KEY) return verifyAppKeyWithNeynar;
+    if (process.env.FARCASTER_HUB_URL) return createVerifyAppKeyWithHub(process.env.FARCASTER_HUB_URL);
+    if (process.env.FARCASTER_VERIFY_APP_KEY === 'skip') {
+        if (!isLocalDev()) throw new Error('FARCASTER_VERIFY_APP_KEY=skip is only allowed in local development');
+        return async () => ({ valid: true, appFid: 0 });
+    }
+    throw new Error('No app key verifier configured (set NEYNAR_API_KEY or FARCASTER_HUB_URL)');
+}
+
+// Error names thrown by parseWebhookEvent, mapped to HTTP status
+const WEBHOOK_ERROR_STATUS = {
+    'VerifyJsonFarcasterSignature.InvalidDataError': 400,
+    'VerifyJsonFarcasterSignature.InvalidEventDataError': 400,
+    'VerifyJsonFarcasterSignature.InvalidAppKeyError': 401,
+    'VerifyJsonFarcasterSignature.VerifyAppKeyError': 500,
+};
+
+// Tokens are dropped together with any scheduled reminder for the user
+async function disableNotifications(fid) {
+    await deleteNotificationDetails(fid);
+    await getStore().delete(reminderKey(fid));
+}
+
+export async function handleWebhookEvent({ fid, event }) {
+    switch (event.event) {
+        case 'miniapp_added':
+        case 'notifications_enabled':
+            if (event.notificationDetails) await saveNotificationDetails(fid, event.notificationDetails);
+            break;
+        case 'miniapp_removed':
+        case 'notifications_disabled':
+            await disableNotifications(fid);
+            break;
+    }
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    let data;
+    try {
+        data = await parseWebhookEvent(req.body, getAppKeyVerifier());
+    } catch (e) {
+        const status = WEBHOOK_ERROR_STATUS[e.name] ?? 500;
+        console.error(`Rejected webhook event (${status}):`, e.message);
+        return res.status(status).json({ error: e.message });
+    }
+
+    try {
+        await handleWebhookEvent(data);
+        console.log(`Webhook ${data.event.event} for fid ${data.fid}`);
+        return res.status(200).json({ ok: true });
+    } catch (e) {
+        console.error('Failed to process webhook event:', e);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+}
@@ -5,7 +5,7 @@ window.global = window.global || window;
 window.process = window.process || { env: {} };
 
 // Farcaster SDK
-import { sdk } from '@farcaster/miniapp-sdk';
+import { sdk, SignIn } from '@farcaster/miniapp-sdk';
 
 // Wagmi Core imports
 import {
@@ -16,12 +16,28 @@ import {
   watchAccount,
   writeContract,
   readContract,
+  simulateContract,
   waitForTransactionReceipt,
   switchChain,
   getChainId,
   getBalance,
+  getTransaction,
+  getTransactionReceipt,
+  getBlock,
+  getBlockNumber,
+  getPublicClient,
+  getGasPrice,
+  estimateGas,
+  signMessage,
   watchContractEvent,
-  http
+  http,
+  ChainNotConfiguredError,
+  ConnectorAccountNotFoundError,
+  ConnectorChainMismatchError,
+  ConnectorNotConnectedError,
+  ConnectorNotFoundError,
+  ProviderNotFoundError,
+  SwitchChainNotSupportedError
 } from '@wagmi/core';
 
 // Farcaster connector
@@ -32,30 +48,70 @@ import { createAppKit } from '@reown/appkit';
 import { WagmiAdapter } from '@reown/appkit-adapter-wagmi';
 
 // Format utilities
-import { formatEther } from 'viem';
+import {
+  formatEther,
+  parseEther,
+  encodeFunctionData,
+  decodeFunctionData,
+  parseEventLogs,
+  isAddress,
+  getAddress,
+  BaseError,
+  ChainDisconnectedError,
+  ChainMismatchError,
+  ContractFunctionRevertedError,
+  ExecutionRevertedError,
+  HttpRequestError,
+  InsufficientFundsError,
+  LimitExceededRpcError,
+  ProviderDisconnectedError,
+  ResourceUnavailableRpcError,
+  RpcRequestError,
+  SwitchChainError,
+  TimeoutError,
+  UserRejectedRequestError,
+  WaitForTransactionReceiptTimeoutError,
+  WebSocketRequestError
+} from 'viem';
+import { createSiweMessage } from 'viem/siwe';
+
+import { watchPendingTransaction } from './pending-tx.js';
 
 // Configuration
 const PROJECT_ID = 'ad03e2d8544cdf786495f370a5fc2e33';
 const MINIAPP_URL = 'https://farcaster.xyz/miniapps/Nf8kjDxT6YXs/nexus-counter';
-const NEXUS_CHAIN_ID_DEC = 3945;
-const NEXUS_RPC_URL = 'https://testnet.rpc.nexus.xyz';
-const EXPLORER_URL = 'https://nexus.testnet.blockscout.com/';
-const NATIVE_CURRENCY = { name: 'NEX', symbol: 'NEX', decimals: 18 };
-
-// Define Nexus Testnet chain
-const nexusTestnet = {
-    id: NEXUS_CHAIN_ID_DEC,
-    name: 'Nexus Testnet',
-    network: 'nexus-testnet',
-    nativeCurrency: NATIVE_CURRENCY,
-    rpcUrls: {
-        default: { http: [NEXUS_RPC_URL] },
-        public: { http: [NEXUS_RPC_URL] },
-    },
-    blockExplorers: {
-        default: { name: 'Nexus Explorer', url: EXPLORER_URL },
-    },
-};
+const DEPLOYMENT_KEY = 'nexus_counter_deployment';
+const RPC_CHAIN_ID_TIMEOUT_MS = 5000;
+
+// Active chain; defaults for a bare contract.json, replaced by the selected
+// entry of deployments.json in loadContractConfig()
+let NEXUS_CHAIN_ID_DEC = 3945;
+let NEXUS_RPC_URL = 'https://testnet.rpc.nexus.xyz';
+let EXPLORER_URL = 'https://nexus.testnet.blockscout.com';
+let NATIVE_CURRENCY = { name: 'NEX', symbol: 'NEX', decimals: 18 };
+
+// Badge tiers in contract order (tier 1..7); each maps to a `<key>Threshold` getter
+const BADGE_TIER_KEYS = ['bronze', 'silver', 'gold', 'platinum', 'diamond', 'master', 'legendary'];
+const BADGE_TIER_EMOJIS = ['🟤', '⚪', '📀', '💿', '💎', '👑', '⭐'];
+
+// Chain definition for wagmi / AppKit from the active chain settings
+function buildChain(name, network) {
+    return {
+        id: NEXUS_CHAIN_ID_DEC,
+        name,
+        network,
+        nativeCurrency: NATIVE_CURRENCY,
+        rpcUrls: {
+            default: { http: [NEXUS_RPC_URL] },
+            public: { http: [NEXUS_RPC_URL] },
+        },
+        blockExplorers: {
+            default: { name: 'Nexus Explorer', url: EXPLORER_URL },
+        },
+    };
+}
+
+let activeChain = buildChain('Nexus Testnet', 'nexus-testnet');
 
 // DOM Elements
 const ui = {
@@ -64,14 +120,32 @@ const ui = {
     incDecGroup: document.getElementById('inc-dec-group'),
     incrementBtn: document.getElementById('increment-btn'),
     decrementBtn: document.getElementById('decrement-btn'),
+    txCostPreview: document.getElementById('tx-cost-preview'),
+    costFee: document.getElementById('cost-fee'),
+    costGas: document.getElementById('cost-gas'),
+    costTotal: document.getElementById('cost-total'),
+    costWarning: document.getElementById('cost-warning'),
     castBtn: document.getElementById('cast-btn'),
     twitterBtn: document.getElementById('twitter-btn'),
     shareButtons: document.getElementById('share-buttons'),
     userMeta: document.getElementById('user-meta'),
     walletBalance: document.getElementById('wallet-balance'),
+    sessionControls: document.getElementById('session-controls'),
+    sessionMeta: document.getElementById('session-meta'),
+    signInBtn: document.getElementById('sign-in-btn'),
     badgeTierContainer: document.getElementById('badge-tier-container'),
     badgeTier: document.getElementById('badge-tier'),
+    badgeTooltip: document.getElementById('badge-tooltip'),
     badgeSkeleton: document.getElementById('badge-skeleton'),
+    badgeNftCard: document.getElementById('badge-nft-card'),
+    badgeNftImage: document.getElementById('badge-nft-image'),
+    badgeNftName: document.getElementById('badge-nft-name'),
+    badgeNftAttributes: document.getElementById('badge-nft-attributes'),
+    badgeNftLink: document.getElementById('badge-nft-link'),
+    badgeProgress: document.getElementById('badge-progress'),
+    badgeProgressLabel: document.getElementById('badge-progress-label'),
+    badgeProgressCount: document.getElementById('badge-progress-count'),
+    badgeProgressFill: document.getElementById('badge-progress-fill'),
     messageContainer: document.getElementById('message-container'),
     messageText: document.getElementById('message-text'),
     txDetails: document.getElementById('tx-details'),
@@ -80,30 +154,113 @@ const ui = {
     statusMeta: document.getElementById('status-meta'),
     adminControls: document.getElementById('admin-controls'),
     resetBtn: document.getElementById('reset-btn'),
+    adminResetForm: document.getElementById('admin-reset-form'),
+    resetValueInput: document.getElementById('reset-value-input'),
+    adminFeeForm: document.getElementById('admin-fee-form'),
+    adminFeeInput: document.getElementById('admin-fee-input'),
+    setFeeBtn: document.getElementById('set-fee-btn'),
+    adminThresholdsForm: document.getElementById('admin-thresholds-form'),
+    setThresholdsBtn: document.getElementById('set-thresholds-btn'),
+    thresholdInputs: Object.fromEntries(
+        BADGE_TIER_KEYS.map(key => [key, document.getElementById(`threshold-${key}`)])
+    ),
+    adminCurrentFee: document.getElementById('admin-current-fee'),
+    adminCurrentCount: document.getElementById('admin-current-count'),
+    adminCurrentThresholds: document.getElementById('admin-current-thresholds'),
     leaderboardContainer: document.getElementById('leaderboard-container'),
     leaderboardList: document.getElementById('leaderboard-list'),
     leaderboardSkeleton: document.getElementById('leaderboard-skeleton'),
     userRank: document.getElementById('user-rank'),
+    counterChartContainer: document.getElementById('counter-chart-container'),
+    counterChart: document.getElementById('counter-chart'),
+    counterChartStatus: document.getElementById('counter-chart-status'),
+    chartRangeButtons: document.querySelectorAll('.chart-range-btn'),
+    fullLeaderboardContainer: document.getElementById('full-leaderboard-container'),
+    fullLeaderboardSearch: document.getElementById('full-leaderboard-search'),
+    fullLeaderboardSort: document.getElementById('full-leaderboard-sort'),
+    fullLeaderboardList: document.getElementById('full-leaderboard-list'),
+    fullLeaderboardPrev: document.getElementById('full-leaderboard-prev'),
+    fullLeaderboardNext: document.getElementById('full-leaderboard-next'),
+    fullLeaderboardPage: document.getElementById('full-leaderboard-page'),
+    fullLeaderboardStatus: document.getElementById('full-leaderboard-status'),
+    exportLeaderboardCsv: document.getElementById('export-leaderboard-csv'),
+    exportLeaderboardJson: document.getElementById('export-leaderboard-json'),
     cooldownTimer: document.getElementById('cooldown-timer'),
+    cooldownText: document.getElementById('cooldown-text'),
+    cooldownTooltip: document.getElementById('cooldown-tooltip'),
+    reminderBtn: document.getElementById('reminder-btn'),
     externalBanner: document.getElementById('externalBanner'),
     externalBannerText: document.getElementById('externalBannerText'),
     txHistoryContainer: document.getElementById('tx-history-container'),
     txHistoryList: document.getElementById('tx-history-list'),
+    txHistoryPrev: document.getElementById('tx-history-prev'),
+    txHistoryNext: document.getElementById('tx-history-next'),
+    txHistoryPage: document.getElementById('tx-history-page'),
+    txFilterButtons: document.querySelectorAll('.tx-filter-btn'),
+    exportHistoryCsv: document.getElementById('export-history-csv'),
+    exportHistoryJson: document.getElementById('export-history-json'),
     txProgress: document.getElementById('tx-progress'),
+    pendingTxContainer: document.getElementById('pending-tx-container'),
+    pendingTxList: document.getElementById('pending-tx-list'),
     confettiContainer: document.getElementById('confetti-container'),
+    profileView: document.getElementById('profile-view'),
+    profileCloseBtn: document.getElementById('profile-close-btn'),
+    profileAddress: document.getElementById('profile-address'),
+    profileSkeleton: document.getElementById('profile-skeleton'),
+    profileError: document.getElementById('profile-error'),
+    profileDetails: document.getElementById('profile-details'),
+    profileIncrements: document.getElementById('profile-increments'),
+    profileDecrements: document.getElementById('profile-decrements'),
+    profileLastAction: document.getElementById('profile-last-action'),
+    profileCooldown: document.getElementById('profile-cooldown'),
+    profileRank: document.getElementById('profile-rank'),
+    profileBadge: document.getElementById('profile-badge'),
+    profileBadgeImage: document.getElementById('profile-badge-image'),
+    profileBadgeName: document.getElementById('profile-badge-name'),
+    profileBadgeAttributes: document.getElementById('profile-badge-attributes'),
+    profileBadgeLink: document.getElementById('profile-badge-link'),
+    profileNoBadge: document.getElementById('profile-no-badge'),
+    viewSections: document.querySelectorAll('[data-view]'),
+    navLinks: document.querySelectorAll('#app-nav [data-nav]'),
+    navAdminLink: document.getElementById('nav-admin-link'),
+    adminUnavailable: document.getElementById('admin-unavailable'),
+    txViewHash: document.getElementById('tx-view-hash'),
+    txViewExplorer: document.getElementById('tx-view-explorer'),
+    txViewSkeleton: document.getElementById('tx-view-skeleton'),
+    txViewError: document.getElementById('tx-view-error'),
+    txViewDetails: document.getElementById('tx-view-details'),
+    txViewStatus: document.getElementById('tx-view-status'),
+    txViewFrom: document.getElementById('tx-view-from'),
+    txViewAction: document.getElementById('tx-view-action'),
+    txViewBlock: document.getElementById('tx-view-block'),
+    txViewEvents: document.getElementById('tx-view-events'),
+    activityFeedList: document.getElementById('activity-feed-list'),
+    deploymentSelector: document.getElementById('deployment-selector'),
+    deploymentSelect: document.getElementById('deployment-select'),
 };
 
 // State variables
 let CONTRACT_ADDRESS;
 let CONTRACT_ABI;
+let CONTRACT_DEPLOY_BLOCK = 0n;
+let activeDeploymentKey = null;
+let REORG_REWIND_BLOCKS = 12n;
 let userAddress = null;
 let isConnecting = false;
 let messageTimeoutId = null;
 let autoRefreshInterval = null;
 let contractFee = 0n;
+let walletBalance = null;
+let estimatedActionGas = null;
+let hasInsufficientBalance = false;
 let cooldownIntervalId = null;
 let cooldownDisplayIntervalId = null;
-let cooldownEndTime = null;
+let cooldownEndTime = null; // local-clock ms, converted from chain time
+let cooldownSeconds = 3600; // contract's COOLDOWN_SECONDS once loaded
+let cooldownSecondsPromise = null;
+let chainClockOffsetMs = 0; // local clock minus latest block timestamp
+let actionsEnabled = false;
+let isActionPending = false;
 let wagmiConfig = null;
 let modal = null;
 let isFarcasterEnvironment = false;
@@ -112,10 +269,150 @@ let lastCounterValue = 0;
 let eventUnwatchFns = [];
 let isRefreshing = false;
 let previousBadgeTier = 0;
+let isContractOwner = false;
+let profileAddress = null;
+let profileCooldownEndTime = null;
+let profileCooldownIntervalId = null;
+let currentRoute = null;
+let isRouteDataReady = false; // views shown before wallet / contract setup load their data once it's done
+let txViewHash = null;
+let leaderboardMaxTop = null;
+// Badge tier model ({ tier, name, threshold, emoji }); contract defaults until loaded from chain
+let badgeTiers = buildBadgeTiers(
+    [10n, 25n, 50n, 100n, 250n, 500n, 1000n],
+    BADGE_TIER_KEYS.map(key => `${capitalize(key)} Counter Badge`)
+);
+
+const READ_ERROR_NOTICE_MS = 60000;
+let lastReadErrorNoticeAt = 0;
+
+// User-facing messages for contract reverts, keyed by require() reason or custom error name
+const CONTRACT_ERROR_MESSAGES = {
+    get 'Action locked: wait'() {
+        return `Action blocked: Please wait ${formatDuration(cooldownSeconds)} between actions.`;
+    },
+    'Counter already zero': 'Decrement failed: Counter is already zero.',
+    'Must pay exact fee': 'The contract fee just changed. Please try again with the updated fee.',
+    'ERC721Metadata: nonexistent token': 'That badge token does not exist.',
+    OwnableUnauthorizedAccount: 'Only the contract owner can do this.',
+    OwnableInvalidOwner: 'The new owner address is invalid.',
+    ERC721InvalidReceiver: 'Your wallet cannot receive the badge NFT (it does not accept ERC-721 tokens).',
+    ERC721InvalidSender: 'The badge NFT could not be minted from this sender.',
+    ERC721NonexistentToken: 'That badge token does not exist.',
+    ERC721IncorrectOwner: 'That badge token belongs to a different address.',
+    ERC721InsufficientApproval: 'You are not approved to move that badge token.',
+    ERC721InvalidApprover: 'This address cannot approve that badge token.',
+    ERC721InvalidOperator: 'That operator address is invalid.',
+    ERC721InvalidOwner: 'That badge owner address is invalid.',
+};
+
+// Event indexer (client-side, backfilled with paged getLogs calls)
+const LOG_PAGE_SIZE = 5000n;
+const MIN_LOG_PAGE_SIZE = 100n;
+const INDEX_RECHECK_MS = 60000; // re-read the reorg window so live logs from replaced blocks are dropped
+const FULL_LEADERBOARD_PAGE_SIZE = 10;
 
-// Transaction history (stored in localStorage)
+// Events kept in memory and persisted to IndexedDB; others (Transfer, Approval, ...) are ignored
+const INDEXED_EVENT_NAMES = ['CounterChanged', 'BadgeAssigned', 'CounterReset', 'FeeUpdated'];
+const EVENT_DB_NAME = 'nexus_counter_events';
+const EVENT_DB_VERSION = 2;
+
+const playerStats = new Map(); // lowercased address -> { address, increments, decrements, lastBlock }
+const liveLogIds = new Map(); // blockNumber (bigint) -> Set of "txHash:logIndex" recorded live past lastIndexedBlock
+const indexedEvents = []; // { eventName, blockNumber, logIndex, transactionHash, args }
+let isEventCacheRestored = false;
+
+// Counter history chart
+const CHART_RANGES = { '24h': 86400, '7d': 7 * 86400, '30d': 30 * 86400, all: null };
+const BLOCK_FETCH_CONCURRENCY = 5;
+const CHART_MAX_BLOCK_FETCHES = 100; // anchor blocks per chart; times in between are interpolated
+const blockTimestamps = new Map(); // blockNumber (bigint) -> unix seconds
+let chartRange = '7d';
+let isChartUpdating = false;
+let isChartUpdateQueued = false;
+
+// Global activity feed
+const ACTIVITY_FEED_EVENTS = ['CounterChanged', 'BadgeAssigned', 'CounterReset'];
+const ACTIVITY_FEED_SIZE = 30;
+const ACTIVITY_SEED_BLOCKS = 5000n;
+const ACTIVITY_FEED_REFRESH_MS = 30000;
+const renderedFeedIds = new Set();
+let isIndexedViewsUpdateScheduled = false;
+let areBlockTimestampsRestored = false;
+let lastIndexedBlock = null;
+let backfillTargetBlock = null;
+let isBackfilling = false;
+let isBackfillQueued = false;
+let fullLeaderboardPage = 0;
+
+// Transaction history: confirmed actions come from indexed CounterChanged logs;
+// localStorage only keeps this device's pending and failed hashes to merge in
 const TX_HISTORY_KEY = 'nexus_counter_tx_history';
-const MAX_TX_HISTORY = 5;
+const MAX_LOCAL_TX_HISTORY = 50;
+const TX_HISTORY_PAGE_SIZE = 10;
+let txHistoryFilter = 'all';
+let txHistoryPage = 0;
+// Connected user's CounterChanged logs (queried by the indexed `user` topic) and the
+// contract's resets, so the history doesn't wait for the full event backfill
+let userHistory = { address: null, events: [], throughBlock: null };
+let userHistoryLoad = null;
+let isUserHistoryReloadQueued = false;
+
+// Emoji and label per transaction type in history rows
+const TX_TYPE_LABELS = {
+    increment: ['📈', 'Incremented'],
+    decrement: ['📉', 'Decremented'],
+    reset: ['🔄', 'Reset'],
+    setFee: ['⚙️', 'Fee updated'],
+    setBadgeThresholds: ['⚙️', 'Thresholds updated'],
+};
+
+// Status badges for transactions that did not (or not yet) confirm
+const TX_STATUS_BADGES = {
+    pending: '<span class="text-xs text-yellow-400">⏳ Pending</span>',
+    failed: '<span class="text-xs text-red-400">❌ Failed</span>',
+    dropped: '<span class="text-xs text-red-400">🚫 Dropped</span>',
+    replaced: '<span class="text-xs text-orange-400">🔁 Replaced</span>',
+    cancelled: '<span class="text-xs text-orange-400">🚫 Cancelled</span>',
+};
+
+// Pending transactions (persisted in localStorage so they survive reloads)
+const PENDING_TX_KEY = 'nexus_counter_pending_txs';
+const PENDING_TX_POLL_TIMEOUT_MS = 120000;
+const PENDING_TX_RETRY_DELAY_MS = 5000;
+const FINALIZED_TX_DISPLAY_MS = 60000;
+const pendingTxTrackers = new Map(); // hash -> Promise<outcome>
+let pendingQueueIntervalId = null;
+
+// Cooldown reminders (opt-in per address, kept in localStorage)
+const REMINDER_PREFS_KEY = 'nexus_counter_cooldown_reminders';
+const REMINDERS_API_URL = '/api/reminders';
+const REMINDER_RESCHEDULE_TOLERANCE_MS = 5000;
+let reminderTimeoutId = null;
+let scheduledReminderAt = null;
+let farcasterFid = null;
+let farcasterNotificationDetails = null;
+
+// Farcaster identities
+const IDENTITY_CACHE_KEY = 'nexus_counter_identities';
+const IDENTITY_TTL_MS = 24 * 60 * 60 * 1000;
+const IDENTITY_MISS_TTL_MS = 60 * 60 * 1000;
+const IDENTITY_BATCH_SIZE = 50;
+const IDENTITY_RETRY_BASE_MS = 30 * 1000;
+const IDENTITY_RETRY_MAX_MS = 10 * 60 * 1000;
+const identities = new Map(); // lowercased address -> { profile, fetchedAt }
+const pendingIdentityLookups = new Set();
+let identityProvider = null;
+let identityFailures = 0;
+let identityRetryAt = 0;
+let rivalAddress = null; // player just ahead of the user on the leaderboard
+let miniAppCapabilitiesPromise = null;
+
+// Sign-in session for off-chain features ({ token, session } from the auth endpoint)
+const SESSION_KEY = 'nexus_counter_session';
+const SIWE_MESSAGE_TTL_MS = 10 * 60 * 1000;
+let authConfig = { url: '/api/auth' };
+let authSession = null;
 
 // Safe localStorage wrapper
 const safeLocalStorage = {
@@ -147,11 +444,200 @@ const safeLocalStorage = {
   }
 };
 
+// Promise wrapper for IDBRequest / IDBTransaction completion
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// IndexedDB cache of decoded contract events. Everything is namespaced by a
+// "chainId:contractAddress" scope so deployments never share history.
+const eventStore = {
+    db: null,
+    
+    async open() {
+        if (this.db) return this.db;
+        if (typeof indexedDB === 'undefined') return null;
+        
+        try {
+            const request = indexedDB.open(EVENT_DB_NAME, EVENT_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('logs')) {
+                    const logs = db.createObjectStore('logs', { keyPath: 'id' });
+                    logs.createIndex('scope_block', ['scope', 'blockNumber']);
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'scope' });
+                }
+                if (!db.objectStoreNames.contains('blocks')) {
+                    const blocks = db.createObjectStore('blocks', { keyPath: 'id' });
+                    blocks.createIndex('chainId', 'chainId');
+                }
+            };
+            this.db = await idbRequest(request);
+            return this.db;
+        } catch (e) {
+            console.warn('IndexedDB unavailable, events will not be cached:', e);
+            return null;
+        }
+    },
+    
+    // Returns { lastIndexedBlock, logs } or null when nothing is cached
+    async load(scope) {
+        const db = await this.open();
+        if (!db) return null;
+        
+        try {
+            const tx = db.transaction(['logs', 'meta'], 'readonly');
+            const [meta, records] = await Promise.all([
+                idbRequest(tx.objectStore('meta').get(scope)),
+                idbRequest(tx.objectStore('logs').index('scope_block').getAll(
+                    IDBKeyRange.bound([scope, 0], [scope, Number.MAX_SAFE_INTEGER])
+                )),
+            ]);
+            if (!meta) return null;
+            
+            return {
+                lastIndexedBlock: BigInt(meta.lastIndexedBlock),
+                logs: records.map(record => ({ ...record, blockNumber: BigInt(record.blockNumber) })),
+            };
+        } catch (e) {
+            console.warn('Failed to read cached events:', e);
+            return null;
+        }
+    },
+    
+    // Persist logs and, when given, advance the scope's last indexed block. With
+    // fromBlock too, the logs replace whatever was cached for fromBlock..lastIndexedBlock
+    async save(scope, logs, lastIndexedBlock = null, fromBlock = null) {
+        const db = await this.open();
+        if (!db) return;
+        
+        try {
+            const tx = db.transaction(['logs', 'meta'], 'readwrite');
+            const store = tx.objectStore('logs');
+            if (fromBlock !== null && lastIndexedBlock !== null) {
+                const range = IDBKeyRange.bound([scope, Number(fromBlock)], [scope, Number(lastIndexedBlock)]);
+                const staleIds = await idbRequest(store.index('scope_block').getAllKeys(range));
+                staleIds.forEach(id => store.delete(id));
+            }
+            for (const log of logs) {
+                store.put({
+                    id: `${scope}:${log.transactionHash}:${log.logIndex}`,
+                    scope,
+                    eventName: log.eventName,
+                    blockNumber: Number(log.blockNumber),
+                    logIndex: log.logIndex,
+                    transactionHash: log.transactionHash,
+                    args: log.args,
+                });
+            }
+            if (lastIndexedBlock !== null) {
+                tx.objectStore('meta').put({ scope, lastIndexedBlock: Number(lastIndexedBlock) });
+            }
+            await idbTransactionDone(tx);
+        } catch (e) {
+            console.warn('Failed to cache events:', e);
+        }
+    },
+    
+    // Drop cached logs at or after fromBlock so they are re-fetched (reorg safety)
+    async rewind(scope, fromBlock) {
+        const db = await this.open();
+        if (!db) return;
+        
+        try {
+            const tx = db.transaction(['logs', 'meta'], 'readwrite');
+            const range = IDBKeyRange.bound([scope, Number(fromBlock)], [scope, Number.MAX_SAFE_INTEGER]);
+            const cursorRequest = tx.objectStore('logs').index('scope_block').openCursor(range);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            tx.objectStore('meta').put({ scope, lastIndexedBlock: Number(fromBlock) - 1 });
+            await idbTransactionDone(tx);
+        } catch (e) {
+            console.warn('Failed to rewind cached events:', e);
+        }
+    },
+    
+    // Block timestamps are immutable once past the reorg window, so they are shared per chain
+    async loadBlockTimestamps(chainId) {
+        const db = await this.open();
+        if (!db) return [];
+        
+        try {
+            const tx = db.transaction('blocks', 'readonly');
+            return await idbRequest(tx.objectStore('blocks').index('chainId').getAll(chainId));
+        } catch (e) {
+            console.warn('Failed to read cached block timestamps:', e);
+            return [];
+        }
+    },
+    
+    async saveBlockTimestamps(chainId, entries) {
+        const db = await this.open();
+        if (!db || entries.length === 0) return;
+        
+        try {
+            const tx = db.transaction('blocks', 'readwrite');
+            const store = tx.objectStore('blocks');
+            for (const [blockNumber, timestamp] of entries) {
+                store.put({ id: `${chainId}:${blockNumber}`, chainId, blockNumber: Number(blockNumber), timestamp });
+            }
+            await idbTransactionDone(tx);
+        } catch (e) {
+            console.warn('Failed to cache block timestamps:', e);
+        }
+    },
+    
+    async clear(scope) {
+        const db = await this.open();
+        if (!db) return;
+        
+        try {
+            const tx = db.transaction(['logs', 'meta'], 'readwrite');
+            const range = IDBKeyRange.bound([scope, 0], [scope, Number.MAX_SAFE_INTEGER]);
+            const cursorRequest = tx.objectStore('logs').index('scope_block').openCursor(range);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            tx.objectStore('meta').delete(scope);
+            await idbTransactionDone(tx);
+        } catch (e) {
+            console.warn('Failed to clear cached events:', e);
+        }
+    }
+};
+
+// Local transaction lists are kept per chain and address, so switching deployments
+// or accounts never mixes hashes from another network into the history or queue
+function localTxKey(prefix, address) {
+    return `${prefix}_${NEXUS_CHAIN_ID_DEC}:${address.toLowerCase()}`;
+}
+
 // Transaction history functions
-function getTxHistory() {
-    if (!userAddress) return [];
-    const key = `${TX_HISTORY_KEY}_${userAddress.toLowerCase()}`;
-    const stored = safeLocalStorage.getItem(key);
+function getTxHistory(address = userAddress) {
+    if (!address) return [];
+    const stored = safeLocalStorage.getItem(localTxKey(TX_HISTORY_KEY, address));
     try {
         return stored ? JSON.parse(stored) : [];
     } catch {
@@ -159,44 +645,100 @@ function getTxHistory() {
     }
 }
 
-function saveTxHistory(history) {
-    if (!userAddress) return;
-    const key = `${TX_HISTORY_KEY}_${userAddress.toLowerCase()}`;
-    safeLocalStorage.setItem(key, JSON.stringify(history.slice(0, MAX_TX_HISTORY)));
+function saveTxHistory(history, address = userAddress) {
+    if (!address) return;
+    safeLocalStorage.setItem(localTxKey(TX_HISTORY_KEY, address), JSON.stringify(history.slice(0, MAX_LOCAL_TX_HISTORY)));
 }
 
-function addToTxHistory(type, hash) {
-    const history = getTxHistory();
-    history.unshift({
-        type,
-        hash,
-        timestamp: Date.now()
-    });
-    saveTxHistory(history);
+// Record or update a locally known transaction for an address
+// ('pending' | 'confirmed' | 'failed' | 'dropped' | 'replaced' | 'cancelled')
+function addToTxHistory(type, hash, status = 'confirmed', address = userAddress) {
+    const history = getTxHistory(address);
+    const existing = history.find(tx => tx.hash === hash);
+    if (existing) {
+        existing.status = status;
+    } else {
+        history.unshift({
+            type,
+            hash,
+            status,
+            timestamp: Date.now()
+        });
+    }
+    saveTxHistory(history, address);
     displayTxHistory();
 }
 
-function displayTxHistory() {
-    const history = getTxHistory();
+// The user's on-chain actions, plus resets when the user is the owner
+function getOnChainTxHistory() {
+    if (!userAddress || userHistory.address !== userAddress.toLowerCase()) return [];
+    
+    return userHistory.events
+        .filter(event => event.eventName === 'CounterChanged' || isContractOwner)
+        .map(event => {
+            const isReset = event.eventName === 'CounterReset';
+            const blockTime = blockTimestamps.get(event.blockNumber);
+            return {
+                type: isReset ? 'reset' : (event.args.delta > 0n ? 'increment' : 'decrement'),
+                hash: event.transactionHash,
+                blockNumber: event.blockNumber,
+                timestamp: blockTime !== undefined ? blockTime * 1000 : null,
+                newCount: isReset ? event.args.newValue : event.args.newCount,
+                status: 'confirmed',
+            };
+        });
+}
+
+// On-chain entries win; local entries fill in pending/failed hashes the chain never indexed
+function getMergedTxHistory() {
+    const onChain = getOnChainTxHistory();
+    const indexedHashes = new Set(onChain.map(tx => tx.hash.toLowerCase()));
+    const local = getTxHistory()
+        .filter(tx => !indexedHashes.has(tx.hash.toLowerCase()))
+        .map(tx => ({ ...tx, status: tx.status || 'confirmed', blockNumber: null, newCount: null }));
+    
+    return [...local, ...onChain].sort((a, b) => (b.timestamp ?? Date.now()) - (a.timestamp ?? Date.now()));
+}
+
+function renderTxHistory() {
+    const history = getMergedTxHistory();
     
     if (history.length === 0) {
         ui.txHistoryList.innerHTML = '<p class="text-sm text-gray-500 text-center">No transactions yet</p>';
         ui.txHistoryContainer.classList.add('hidden');
         return;
     }
+    
+    const filtered = history.filter(tx => {
+        if (txHistoryFilter === 'failed') return tx.status !== 'confirmed' && tx.status !== 'pending';
+        if (txHistoryFilter === 'all') return true;
+        return tx.type === txHistoryFilter;
+    });
+    const pageCount = Math.max(1, Math.ceil(filtered.length / TX_HISTORY_PAGE_SIZE));
+    txHistoryPage = Math.min(txHistoryPage, pageCount - 1);
+    const start = txHistoryPage * TX_HISTORY_PAGE_SIZE;
+    const rows = filtered.slice(start, start + TX_HISTORY_PAGE_SIZE);
 
-    ui.txHistoryList.innerHTML = history.map((tx, idx) => {
-        const timeAgo = formatTimeAgo(tx.timestamp);
-        const emoji = tx.type === 'increment' ? '📈' : '📉';
-        const action = tx.type === 'increment' ? 'Incremented' : 'Decremented';
-        
-        return `
+    ui.txHistoryList.innerHTML = rows.length === 0
+        ? '<p class="text-sm text-gray-500 text-center">No matching transactions</p>'
+        : rows.map(tx => {
+            const timeAgo = tx.timestamp ? formatTimeAgo(tx.timestamp) : '';
+            const [emoji, verb] = TX_TYPE_LABELS[tx.type] ?? ['⚙️', tx.type];
+            const action = tx.newCount !== null && tx.newCount !== undefined
+                ? `${verb} to ${Number(tx.newCount).toLocaleString()}`
+                : verb;
+            const statusBadge = TX_STATUS_BADGES[tx.status] ?? '';
+            const block = tx.blockNumber !== null ? `<span class="text-xs text-gray-500 font-mono">#${tx.blockNumber}</span>` : '';
+            
+            return `
             <div class="flex justify-between items-center text-sm p-3 rounded-md app-subtle-box hover:bg-[#252525] transition-colors">
                 <div class="flex items-center gap-2">
                     <span>${emoji}</span>
-                    <span class="font-medium">${action}</span>
+                    <a href="${txPath(tx.hash)}" data-route-link class="font-medium hover:underline">${action}</a>
+                    ${statusBadge}
                 </div>
                 <div class="flex items-center gap-2">
+                    ${block}
                     <span class="text-xs text-gray-500">${timeAgo}</span>
                     <a href="${EXPLORER_URL}/tx/${tx.hash}" target="_blank" rel="noopener noreferrer" 
                        class="text-xs text-indigo-400 hover:underline font-mono">
@@ -205,11 +747,273 @@ function displayTxHistory() {
                 </div>
             </div>
         `;
-    }).join('');
+        }).join('');
     
+    ui.txFilterButtons.forEach(button => {
+        const isActive = button.dataset.filter === txHistoryFilter;
+        button.classList.toggle('bg-indigo-600', isActive);
+        button.classList.toggle('bg-gray-700', !isActive);
+    });
+    ui.txHistoryPage.textContent = `${txHistoryPage + 1} / ${pageCount}`;
+    ui.txHistoryPrev.disabled = txHistoryPage === 0;
+    ui.txHistoryNext.disabled = txHistoryPage >= pageCount - 1;
     ui.txHistoryContainer.classList.remove('hidden');
 }
 
+function displayTxHistory() {
+    if (!userAddress) return;
+    renderTxHistory();
+    
+    loadUserHistory()
+        .then(() => {
+            renderTxHistory();
+            // Fill in block times for the user's actions, then render again
+            const missing = getOnChainTxHistory().filter(tx => tx.timestamp === null).map(tx => tx.blockNumber);
+            if (missing.length > 0) return ensureBlockTimestamps(missing).then(renderTxHistory);
+        })
+        .catch(e => reportReadError('Failed to load transaction history', e));
+}
+
+// getContractEvents over [fromBlock, toBlock] in pages, halving the page size when
+// the RPC rejects the range or result size
+async function getContractEventsPaged(params, fromBlock, toBlock) {
+    const client = getPublicClient(wagmiConfig, { chainId: NEXUS_CHAIN_ID_DEC });
+    const logs = [];
+    let pageSize = LOG_PAGE_SIZE;
+    
+    while (fromBlock <= toBlock) {
+        const pageEnd = fromBlock + pageSize - 1n < toBlock ? fromBlock + pageSize - 1n : toBlock;
+        try {
+            logs.push(...await client.getContractEvents({
+                address: CONTRACT_ADDRESS,
+                abi: CONTRACT_ABI,
+                ...params,
+                fromBlock,
+                toBlock: pageEnd,
+            }));
+        } catch (e) {
+            if (pageSize > MIN_LOG_PAGE_SIZE) {
+                pageSize /= 2n;
+                continue;
+            }
+            throw e;
+        }
+        fromBlock = pageEnd + 1n;
+    }
+    return logs;
+}
+
+// Bring userHistory up to the chain head. The first load reads from the deploy block;
+// later ones only read new blocks, plus the last REORG_REWIND_BLOCKS again in case
+// they were reorganized.
+async function fetchUserHistory() {
+    const address = userAddress?.toLowerCase();
+    if (!address || !wagmiConfig || !CONTRACT_ADDRESS) return;
+    if (userHistory.address !== address) userHistory = { address, events: [], throughBlock: null };
+    
+    const head = await getBlockNumber(wagmiConfig, { chainId: NEXUS_CHAIN_ID_DEC });
+    const rewindFrom = userHistory.throughBlock !== null ? userHistory.throughBlock - REORG_REWIND_BLOCKS + 1n : CONTRACT_DEPLOY_BLOCK;
+    const fromBlock = rewindFrom > CONTRACT_DEPLOY_BLOCK ? rewindFrom : CONTRACT_DEPLOY_BLOCK;
+    if (fromBlock > head) return;
+    
+    const [changed, resets] = await Promise.all([
+        getContractEventsPaged({ eventName: 'CounterChanged', args: { user: userAddress } }, fromBlock, head),
+        getContractEventsPaged({ eventName: 'CounterReset' }, fromBlock, head),
+    ]);
+    // The account may have changed while the logs loaded
+    if (userHistory.address !== address) return;
+    
+    const fresh = [...changed, ...resets]
+        .filter(log => !log.removed)
+        .map(log => ({
+            eventName: log.eventName,
+            blockNumber: log.blockNumber,
+            logIndex: log.logIndex,
+            transactionHash: log.transactionHash,
+            args: log.args,
+        }));
+    userHistory = {
+        address,
+        events: [...userHistory.events.filter(event => event.blockNumber < fromBlock), ...fresh]
+            .sort((a, b) => (a.blockNumber === b.blockNumber
+                ? a.logIndex - b.logIndex
+                : (a.blockNumber < b.blockNumber ? -1 : 1))),
+        throughBlock: head,
+    };
+}
+
+// One load at a time; a call during a load runs another one once it ends
+function loadUserHistory() {
+    if (userHistoryLoad) {
+        isUserHistoryReloadQueued = true;
+        return userHistoryLoad;
+    }
+    userHistoryLoad = fetchUserHistory().finally(() => {
+        userHistoryLoad = null;
+        if (isUserHistoryReloadQueued) {
+            isUserHistoryReloadQueued = false;
+            displayTxHistory();
+        }
+    });
+    return userHistoryLoad;
+}
+
+// Pending transaction tracker
+function getPendingTxs(address = userAddress) {
+    if (!address) return [];
+    const stored = safeLocalStorage.getItem(localTxKey(PENDING_TX_KEY, address));
+    try {
+        return stored ? JSON.parse(stored) : [];
+    } catch {
+        return [];
+    }
+}
+
+function savePendingTxs(entries, address = userAddress) {
+    if (!address) return;
+    safeLocalStorage.setItem(localTxKey(PENDING_TX_KEY, address), JSON.stringify(entries));
+}
+
+function upsertPendingTx(entry) {
+    const entries = getPendingTxs(entry.from).filter(tx => tx.hash !== entry.hash);
+    entries.unshift(entry);
+    savePendingTxs(entries, entry.from);
+}
+
+// Chain-bound actions for the pending transaction watcher (see pending-tx.js)
+function getPendingTxClient() {
+    return {
+        waitForTransactionReceipt: (params) => waitForTransactionReceipt(wagmiConfig, { ...params, chainId: NEXUS_CHAIN_ID_DEC }),
+        getTransaction: (params) => getTransaction(wagmiConfig, { ...params, chainId: NEXUS_CHAIN_ID_DEC }),
+        getTransactionReceipt: (params) => getTransactionReceipt(wagmiConfig, { ...params, chainId: NEXUS_CHAIN_ID_DEC }),
+    };
+}
+
+// Persist a submitted transaction and watch it to completion. Safe to call again
+// for the same hash; the same promise is returned.
+function trackPendingTransaction(entry) {
+    if (pendingTxTrackers.has(entry.hash)) return pendingTxTrackers.get(entry.hash);
+    
+    upsertPendingTx({ ...entry, status: 'pending' });
+    addToTxHistory(entry.type, entry.hash, 'pending', entry.from);
+    renderPendingQueue();
+    
+    const tracker = watchPendingTransaction(entry, getPendingTxClient(), {
+        pollTimeoutMs: PENDING_TX_POLL_TIMEOUT_MS,
+        retryDelayMs: PENDING_TX_RETRY_DELAY_MS,
+        abi: CONTRACT_ABI,
+        classifyError,
+    }).then(outcome => {
+        pendingTxTrackers.delete(entry.hash);
+        
+        const originalStatus = outcome.replacedBy ? 'replaced' : outcome.status;
+        upsertPendingTx({ ...entry, status: originalStatus, replacedBy: outcome.replacedBy, finalizedAt: Date.now() });
+        addToTxHistory(entry.type, entry.hash, originalStatus, entry.from);
+        if (outcome.replacedBy && outcome.hash === outcome.replacedBy) {
+            addToTxHistory(entry.type, outcome.hash, outcome.status, entry.from);
+        }
+        
+        renderPendingQueue();
+        return outcome;
+    });
+    
+    pendingTxTrackers.set(entry.hash, tracker);
+    return tracker;
+}
+
+function describeTxOutcome(outcome) {
+    switch (outcome.status) {
+        case 'confirmed':
+            return 'Transaction successful!';
+        case 'failed':
+            return outcome.reason
+                ? `Transaction reverted: ${CONTRACT_ERROR_MESSAGES[outcome.reason] ?? outcome.reason}`
+                : 'Transaction failed (Status: Reverted).';
+        case 'replaced':
+            return 'Transaction was replaced by another transaction from your wallet.';
+        case 'cancelled':
+            return 'Transaction was cancelled from your wallet.';
+        case 'dropped':
+            return 'Transaction was dropped by the network and will not be mined.';
+        default:
+            return 'Transaction status unknown.';
+    }
+}
+
+function formatElapsed(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return mins > 0 ? `${mins}m ${secs < 10 ? '0' : ''}${secs}s` : `${secs}s`;
+}
+
+function renderPendingQueue() {
+    const now = Date.now();
+    
+    // Keep finalized entries visible briefly so the outcome can be read
+    const stored = getPendingTxs();
+    const entries = stored.filter(tx => tx.status === 'pending' || now - tx.finalizedAt < FINALIZED_TX_DISPLAY_MS);
+    if (entries.length !== stored.length) savePendingTxs(entries);
+    
+    if (entries.length === 0) {
+        ui.pendingTxContainer.classList.add('hidden');
+        if (pendingQueueIntervalId) {
+            clearInterval(pendingQueueIntervalId);
+            pendingQueueIntervalId = null;
+        }
+        return;
+    }
+    
+    ui.pendingTxList.innerHTML = entries.map(tx => {
+        const [emoji, verb] = TX_TYPE_LABELS[tx.type] ?? ['⚙️', tx.type];
+        const status = tx.status === 'pending'
+            ? `<span class="text-xs text-yellow-400 font-mono">⏳ ${formatElapsed(now - tx.submittedAt)}</span>`
+            : tx.status === 'confirmed'
+                ? '<span class="text-xs text-green-400">✅ Confirmed</span>'
+                : (TX_STATUS_BADGES[tx.status] ?? '');
+        return `
+            <div class="flex justify-between items-center gap-2">
+                <span>${emoji} ${verb}</span>
+                <span class="flex items-center gap-2">
+                    ${status}
+                    <a href="${EXPLORER_URL}/tx/${tx.hash}" target="_blank" rel="noopener noreferrer"
+                       class="text-xs text-indigo-400 hover:underline font-mono">${formatHash(tx.hash)}</a>
+                </span>
+            </div>
+        `;
+    }).join('');
+    ui.pendingTxContainer.classList.remove('hidden');
+    
+    if (!pendingQueueIntervalId) {
+        pendingQueueIntervalId = setInterval(renderPendingQueue, 1000);
+    }
+}
+
+// Resume watching the connected address's transactions that were still pending
+// when the page was closed (or the account was switched away)
+function resumePendingTransactions() {
+    const pending = getPendingTxs().filter(tx => tx.status === 'pending' && !pendingTxTrackers.has(tx.hash));
+    renderPendingQueue();
+    if (pending.length === 0) return;
+    
+    console.log(`⏳ Resuming ${pending.length} pending transaction(s)`);
+    showTxProgress();
+    displayMessage(`Resuming ${pending.length} pending transaction${pending.length === 1 ? '' : 's'}...`, 'info', pending[0].hash, true);
+    
+    Promise.all(pending.map(entry => trackPendingTransaction(entry).then(outcome => {
+        displayMessage(describeTxOutcome(outcome), outcome.status === 'confirmed' ? 'success' : 'error', outcome.hash, false);
+        return outcome;
+    }))).then(outcomes => {
+        if (pendingTxTrackers.size === 0) hideTxProgress();
+        if (userAddress && outcomes.some(outcome => outcome.status === 'confirmed')) {
+            triggerHaptic('success');
+            updateBadge();
+            updateWalletBalance();
+            refreshCooldownTimer();
+        }
+    });
+}
+
 function formatTimeAgo(timestamp) {
     const seconds = Math.floor((Date.now() - timestamp) / 1000);
     
@@ -243,6 +1047,7 @@ function celebrateBadgeMilestone(newTier) {
     if (newTier > previousBadgeTier && newTier > 0) {
         // Trigger confetti
         triggerConfetti();
+        triggerHaptic('heavy');
         
         // Animate badge
         ui.badgeTierContainer.classList.add('badge-earned');
@@ -251,17 +1056,8 @@ function celebrateBadgeMilestone(newTier) {
         }, 600);
         
         // Show celebration message
-        const tierNames = {
-            1: 'Bronze Badge',
-            2: 'Silver Badge',
-            3: 'Gold Badge',
-            4: 'Platinum Badge',
-            5: 'Diamond Badge',
-            6: 'Master Badge',
-            7: 'Legendary Badge'
-        };
-        
-        displayMessage(`🎉 Congratulations! You earned the ${tierNames[newTier]}!`, 'success');
+        const tierName = badgeTiers[newTier - 1]?.name ?? `Tier ${newTier} Badge`;
+        displayMessage(`🎉 Congratulations! You earned the ${tierName}!`, 'success');
     }
     previousBadgeTier = newTier;
 }
@@ -302,30 +1098,107 @@ async function isFarcasterEmbed() {
   ]);
 }
 
-// Load contract configuration
+// Absolute path first: on deep links like /address/0x... a relative
+// fetch would hit the SPA rewrite and get index.html back
+async function fetchConfigFile(fileName) {
+    let response = await fetch(`/${fileName}`).catch(() => null);
+    if (!response || !response.ok) {
+        response = await fetch(`./${fileName}`).catch(() => null);
+    }
+    if (!response || !response.ok) return null;
+    return response.json();
+}
+
+// ?deployment=<key> wins (and is remembered), then the saved choice, then the default
+function selectDeployment(config) {
+    const keys = Object.keys(config.deployments ?? {});
+    const requested = new URLSearchParams(window.location.search).get('deployment');
+    if (requested && keys.includes(requested)) {
+        safeLocalStorage.setItem(DEPLOYMENT_KEY, requested);
+        return requested;
+    }
+    if (requested) console.warn(`Unknown deployment "${requested}", using the default`);
+    
+    const saved = safeLocalStorage.getItem(DEPLOYMENT_KEY);
+    if (saved && keys.includes(saved)) return saved;
+    return keys.includes(config.defaultDeployment) ? config.defaultDeployment : keys[0];
+}
+
+function applyChainConfig(chain) {
+    NEXUS_CHAIN_ID_DEC = chain.id;
+    NEXUS_RPC_URL = chain.rpcUrl;
+    EXPLORER_URL = chain.explorerUrl.replace(/\/+$/, '');
+    NATIVE_CURRENCY = chain.nativeCurrency ?? NATIVE_CURRENCY;
+    activeChain = buildChain(chain.name, chain.network);
+}
+
+function renderDeploymentSelector(config) {
+    const entries = Object.entries(config.deployments);
+    if (entries.length < 2) return;
+    ui.deploymentSelect.innerHTML = entries
+        .map(([key, deployment]) => `<option value="${escapeHtml(key)}">${escapeHtml(deployment.label ?? key)}</option>`)
+        .join('');
+    ui.deploymentSelect.value = activeDeploymentKey;
+    ui.deploymentSelector.classList.remove('hidden');
+}
+
+// Load contract configuration: the active entry of deployments.json (chain, address,
+// ABI, deploy block), or a bare contract.json on the built-in chain for older setups
 async function loadContractConfig() {
     try {
-        let response = await fetch('./contract.json').catch(() => null);
-        if (!response || !response.ok) {
-            response = await fetch('/contract.json').catch(() => null);
+        const config = await fetchConfigFile('deployments.json');
+        let deployment = { contract: 'contract.json' };
+        if (config) {
+            activeDeploymentKey = selectDeployment(config);
+            deployment = config.deployments[activeDeploymentKey];
+            renderDeploymentSelector(config);
         }
-        if (!response || !response.ok) {
-            throw new Error('Contract configuration file not found');
+        identityProvider = createIdentityProvider(config?.identity);
+        authConfig = { ...authConfig, ...config?.auth };
+        
+        // Fields set on the deployment itself override the referenced contract file
+        const contract = deployment.contract ? await fetchConfigFile(deployment.contract.replace(/^\.?\//, '')) : {};
+        if (!contract) {
+            throw new Error(`Contract file ${deployment.contract} not found`);
         }
+        const data = { ...contract, ...deployment };
         
-        const data = await response.json();
+        if (data.chain) applyChainConfig(data.chain);
         CONTRACT_ADDRESS = data.address;
         CONTRACT_ABI = data.abi;
-        console.log('✅ Contract loaded successfully:', CONTRACT_ADDRESS);
+        CONTRACT_DEPLOY_BLOCK = BigInt(data.deployBlock ?? 0);
+        REORG_REWIND_BLOCKS = BigInt(data.reorgRewindBlocks ?? REORG_REWIND_BLOCKS);
+        if (!CONTRACT_ADDRESS || !CONTRACT_ABI) {
+            throw new Error('Deployment is missing an address or ABI');
+        }
+        console.log(`✅ Contract loaded successfully (${activeDeploymentKey ?? 'contract.json'}, chain ${NEXUS_CHAIN_ID_DEC}):`, CONTRACT_ADDRESS);
         return true;
     } catch (error) {
-        console.error("❌ Could not load contract.json:", error);
+        console.error("❌ Could not load contract configuration:", error);
         displayMessage("Error: Could not load contract configuration.", 'error');
         ui.connectBtn.disabled = true;
         return false;
     }
 }
 
+// Chain ID reported by the configured RPC, or null when it can't be reached in
+// time; a slow or hanging RPC must not hold up the rest of the startup
+async function getRpcChainId() {
+    try {
+        const response = await fetch(NEXUS_RPC_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }),
+            signal: AbortSignal.timeout(RPC_CHAIN_ID_TIMEOUT_MS),
+        });
+        const { result } = await response.json();
+        return Number(BigInt(result));
+    } catch (e) {
+        console.warn('Could not query eth_chainId, continuing without the chain ID check:', e);
+        return null;
+    }
+}
+
 // Utility functions
 function formatAddress(addr) {
     return addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : "Not Connected";
@@ -335,6 +1208,28 @@ function formatHash(hash) {
     return hash ? `${hash.slice(0, 6)}...${hash.slice(-4)}` : "";
 }
 
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function buildBadgeTiers(thresholds, names) {
+    return thresholds.map((threshold, i) => ({
+        tier: i + 1,
+        name: names[i] || `${capitalize(BADGE_TIER_KEYS[i])} Badge`,
+        threshold,
+        emoji: BADGE_TIER_EMOJIS[i],
+    }));
+}
+
 function setStatus(text, colorClass) {
     ui.statusMeta.textContent = text;
     ui.statusMeta.className = ui.statusMeta.className.split(' ').filter(c => !c.startsWith('text-')).join(' ');
@@ -343,25 +1238,96 @@ function setStatus(text, colorClass) {
 
 function setActionButtonsEnabled(enabled) {
     const shouldEnable = enabled && !!userAddress;
-    ui.incrementBtn.disabled = !shouldEnable;
-    ui.decrementBtn.disabled = !shouldEnable;
+    actionsEnabled = shouldEnable;
+    applyActionButtonState();
     
     if (shouldEnable) {
         ui.incDecGroup.classList.remove('hidden');
         ui.incDecGroup.classList.add('flex');
         ui.shareButtons.classList.remove('hidden');
         ui.shareButtons.classList.add('flex');
+        ui.txCostPreview.classList.remove('hidden');
     } else {
         ui.incDecGroup.classList.add('hidden');
         ui.incDecGroup.classList.remove('flex');
         ui.shareButtons.classList.add('hidden');
         ui.shareButtons.classList.remove('flex');
+        ui.txCostPreview.classList.add('hidden');
+    }
+}
+
+// Buttons stay disabled while the cooldown runs and show the time left instead,
+// so no one submits a transaction that is certain to revert
+function applyActionButtonState() {
+    const isLocked = !!cooldownEndTime && Date.now() < cooldownEndTime;
+    const disabled = !actionsEnabled || hasInsufficientBalance || isLocked;
+    ui.incrementBtn.disabled = disabled;
+    ui.decrementBtn.disabled = disabled;
+    
+    // The clicked button shows transaction progress until sendTransaction finishes
+    if (isActionPending) return;
+    const lockedLabel = isLocked ? `🔒 ${formatCountdown(cooldownEndTime - Date.now())}` : null;
+    ui.incrementBtn.textContent = lockedLabel ?? 'Increment';
+    ui.decrementBtn.textContent = lockedLabel ?? 'Decrement';
+}
+
+function formatNex(wei) {
+    return `${parseFloat(formatEther(wei)).toFixed(6)} NEX`;
+}
+
+// Transaction cost preview (fee + estimated gas vs. wallet balance)
+async function updateCostPreview() {
+    if (!userAddress || !wagmiConfig || !CONTRACT_ADDRESS) return;
+    
+    // Estimation always reverts while the cooldown is active, and this runs on every
+    // auto-refresh, so the last good estimate is reused until the cooldown ends
+    const isCoolingDown = cooldownEndTime !== null && Date.now() < cooldownEndTime;
+    
+    try {
+        const [gas, gasPrice] = await Promise.all([
+            isCoolingDown ? estimatedActionGas : estimateGas(wagmiConfig, {
+                account: userAddress,
+                to: CONTRACT_ADDRESS,
+                data: encodeFunctionData({ abi: CONTRACT_ABI, functionName: 'increment' }),
+                value: contractFee,
+                chainId: NEXUS_CHAIN_ID_DEC,
+            }).catch(e => {
+                console.warn('Gas estimation failed, using cached estimate:', e.shortMessage || e.message);
+                return estimatedActionGas;
+            }),
+            getGasPrice(wagmiConfig, { chainId: NEXUS_CHAIN_ID_DEC }),
+        ]);
+        estimatedActionGas = gas;
+        
+        const gasCost = gas !== null ? gas * gasPrice : null;
+        const total = contractFee + (gasCost ?? 0n);
+        
+        ui.costFee.textContent = formatNex(contractFee);
+        ui.costGas.textContent = gasCost !== null ? `~${formatNex(gasCost)}` : 'Unavailable';
+        ui.costTotal.textContent = gasCost !== null ? formatNex(total) : `${formatNex(total)} + gas`;
+        
+        hasInsufficientBalance = walletBalance !== null && walletBalance < total;
+        if (hasInsufficientBalance) {
+            ui.costWarning.textContent = `⚠️ Insufficient balance: you have ${formatNex(walletBalance)}.`;
+            ui.costWarning.classList.remove('hidden');
+        } else {
+            ui.costWarning.classList.add('hidden');
+        }
+    } catch (e) {
+        reportReadError('Failed to estimate transaction cost', e);
+        ui.costFee.textContent = formatNex(contractFee);
+        ui.costGas.textContent = 'Unavailable';
+        ui.costTotal.textContent = `${formatNex(contractFee)} + gas`;
+        hasInsufficientBalance = walletBalance !== null && walletBalance < contractFee;
     }
+    
+    applyActionButtonState();
 }
 
 // Wallet balance update
 async function updateWalletBalance() {
     if (!userAddress || !wagmiConfig) {
+        walletBalance = null;
         ui.walletBalance.classList.add('hidden');
         return;
     }
@@ -372,34 +1338,140 @@ async function updateWalletBalance() {
             chainId: NEXUS_CHAIN_ID_DEC,
         });
         
+        walletBalance = balance.value;
         const formattedBalance = parseFloat(formatEther(balance.value)).toFixed(4);
         ui.walletBalance.textContent = `💰 ${formattedBalance} NEX`;
         ui.walletBalance.classList.remove('hidden');
     } catch (e) {
-        console.error('Failed to fetch balance:', e);
+        reportReadError('Failed to fetch balance', e);
+        walletBalance = null;
         ui.walletBalance.classList.add('hidden');
     }
+    
+    await updateCostPreview();
 }
 
-// Smarter wallet connection button
-function updateConnectButton(state) {
-    ui.connectBtn.disabled = false;
-    ui.connectBtn.onclick = null;
-    ui.connectBtn.classList.remove('bg-red-600', 'hover:bg-red-700', 'bg-white', 'hover:bg-gray-200', 'bg-gray-700', 'text-white', 'text-black', 'hover:bg-gray-600');
+// ERRORS - Map viem / wagmi errors to codes, user messages and retry hints
 
-    switch (state) {
-        case 'CONNECTED':
-            ui.connectBtn.textContent = '✓ Wallet Connected';
-            ui.connectBtn.disabled = false;
-            ui.connectBtn.classList.add('bg-gray-700', 'hover:bg-gray-600', 'text-white', 'cursor-pointer');
-            ui.connectBtn.onclick = async () => {
-                if (modal) {
-                    modal.open();
-                }
+// Checked in order against every error in the cause chain; the first match wins,
+// so a user rejection wrapped in a TransactionExecutionError is still a rejection
+const ERROR_CLASSES = [
+    ['USER_REJECTED', [UserRejectedRequestError, SignIn.RejectedByUser]],
+    ['CHAIN_MISMATCH', [ChainMismatchError, ConnectorChainMismatchError, ChainNotConfiguredError, SwitchChainError, SwitchChainNotSupportedError]],
+    ['INSUFFICIENT_FUNDS', [InsufficientFundsError]],
+    ['CONTRACT_REVERT', [ContractFunctionRevertedError, ExecutionRevertedError]],
+    ['CONNECTOR_NOT_FOUND', [ConnectorNotFoundError, ProviderNotFoundError]],
+    ['WALLET_DISCONNECTED', [ConnectorNotConnectedError, ConnectorAccountNotFoundError, ProviderDisconnectedError, ChainDisconnectedError]],
+    ['RPC_TIMEOUT', [TimeoutError, WaitForTransactionReceiptTimeoutError]],
+    ['RPC_ERROR', [HttpRequestError, WebSocketRequestError, RpcRequestError, LimitExceededRpcError, ResourceUnavailableRpcError]],
+];
+
+// retryable: trying the same thing again may work without the user changing anything
+const ERROR_DETAILS = {
+    USER_REJECTED: { message: 'Request rejected in your wallet.', hint: null, retryable: false },
+    CHAIN_MISMATCH: {
+        message: 'Your wallet is on a different network.',
+        get hint() { return `Switch to ${activeChain.name} (chain ID ${NEXUS_CHAIN_ID_DEC}) and try again.`; },
+        retryable: false,
+    },
+    INSUFFICIENT_FUNDS: { message: 'Not enough NEX for the fee and gas.', hint: 'Top up from the faucet and try again.', retryable: false },
+    CONTRACT_REVERT: { message: 'The contract rejected this transaction.', hint: null, retryable: false },
+    CONNECTOR_NOT_FOUND: { message: 'No wallet found.', hint: 'Install or unlock a wallet extension, or connect with WalletConnect.', retryable: false },
+    WALLET_DISCONNECTED: { message: 'Your wallet is not connected.', hint: 'Reconnect your wallet and try again.', retryable: false },
+    RPC_TIMEOUT: { message: 'The network took too long to respond.', hint: 'Check your connection and try again.', retryable: true },
+    RPC_ERROR: { message: 'The network request failed.', hint: 'Try again in a moment.', retryable: true },
+    UNKNOWN: { message: 'Something went wrong.', hint: null, retryable: false },
+};
+
+// Reverts that usually pass on a second attempt (the fee is re-read before sending)
+const RETRYABLE_REVERTS = ['Must pay exact fee'];
+
+function findErrorInChain(error, classes) {
+    for (let current = error, depth = 0; current && depth < 10; current = current.cause, depth++) {
+        if (classes.some(errorClass => current instanceof errorClass)) return current;
+    }
+    return null;
+}
+
+// { code, message, hint, retryable, error } for any thrown value
+function classifyError(error) {
+    let code = 'UNKNOWN';
+    let match = null;
+    for (const [candidate, classes] of ERROR_CLASSES) {
+        match = findErrorInChain(error, classes);
+        if (match) {
+            code = candidate;
+            break;
+        }
+    }
+    // Raw EIP-1193 rejection from a provider that viem didn't wrap
+    if (!match && error?.code === 4001) code = 'USER_REJECTED';
+    
+    const details = ERROR_DETAILS[code];
+    const result = { code, message: details.message, hint: details.hint, retryable: details.retryable, error };
+    
+    if (code === 'CONTRACT_REVERT') {
+        const reason = match.reason ?? match.data?.errorName;
+        result.message = decodeContractError(error) ?? details.message;
+        result.retryable = RETRYABLE_REVERTS.includes(reason);
+    } else if (code === 'UNKNOWN') {
+        result.message = error?.shortMessage || error?.message?.split('\n')[0]?.trim() || details.message;
+    }
+    return result;
+}
+
+// Message plus hint, for displayMessage()
+function describeError(failure) {
+    return failure.hint ? `${failure.message} ${failure.hint}` : failure.message;
+}
+
+// Read paths log with the error code; network trouble is also shown to the user,
+// at most once per READ_ERROR_NOTICE_MS so polling doesn't flood the message area
+function reportReadError(label, error) {
+    const failure = classifyError(error);
+    console.error(`${label} [${failure.code}]:`, error);
+    
+    if ((failure.code === 'RPC_TIMEOUT' || failure.code === 'RPC_ERROR') && Date.now() - lastReadErrorNoticeAt > READ_ERROR_NOTICE_MS) {
+        lastReadErrorNoticeAt = Date.now();
+        displayMessage(`${failure.message} Some data may be out of date; it will refresh automatically.`, 'warning');
+    }
+    return failure;
+}
+
+// Decode a contract revert (from simulation or a failed write) into a user-facing message.
+// Returns null when the error is not a contract revert.
+function decodeContractError(error) {
+    if (!(error instanceof BaseError)) return null;
+    
+    const revertError = error.walk(err => err instanceof ContractFunctionRevertedError);
+    if (!revertError) return null;
+    
+    // Error(string) reverts expose `reason`; custom errors expose `data.errorName`
+    const key = revertError.reason ?? revertError.data?.errorName;
+    if (key && CONTRACT_ERROR_MESSAGES[key]) return CONTRACT_ERROR_MESSAGES[key];
+    if (key) return `Transaction would revert: ${key}`;
+    return 'Transaction would revert.';
+}
+
+// Smarter wallet connection button
+function updateConnectButton(state) {
+    ui.connectBtn.disabled = false;
+    ui.connectBtn.onclick = null;
+    ui.connectBtn.classList.remove('bg-red-600', 'hover:bg-red-700', 'bg-white', 'hover:bg-gray-200', 'bg-gray-700', 'text-white', 'text-black', 'hover:bg-gray-600');
+
+    switch (state) {
+        case 'CONNECTED':
+            ui.connectBtn.textContent = '✓ Wallet Connected';
+            ui.connectBtn.disabled = false;
+            ui.connectBtn.classList.add('bg-gray-700', 'hover:bg-gray-600', 'text-white', 'cursor-pointer');
+            ui.connectBtn.onclick = async () => {
+                if (modal) {
+                    modal.open();
+                }
             };
             break;
         case 'WRONG_NETWORK':
-            ui.connectBtn.textContent = 'Switch to Nexus Testnet';
+            ui.connectBtn.textContent = `Switch to ${activeChain.name}`;
             ui.connectBtn.onclick = switchToNexus;
             ui.connectBtn.classList.add('bg-red-600', 'hover:bg-red-700', 'text-white');
             break;
@@ -537,7 +1609,7 @@ function startAutoRefresh() {
                     updateAdminUI()
                 ]);
             } catch (error) {
-                console.error('Auto-refresh error:', error);
+                reportReadError('Auto-refresh error', error);
             } finally {
                 isRefreshing = false;
             }
@@ -553,42 +1625,89 @@ function stopAutoRefresh() {
 }
 
 // Cooldown timer functions
+
+// COOLDOWN_SECONDS is a contract constant, so it is read once
+function loadCooldownSeconds() {
+    if (!cooldownSecondsPromise) {
+        cooldownSecondsPromise = readContract(wagmiConfig, {
+            address: CONTRACT_ADDRESS,
+            abi: CONTRACT_ABI,
+            functionName: 'COOLDOWN_SECONDS',
+            chainId: NEXUS_CHAIN_ID_DEC,
+        }).then(value => {
+            cooldownSeconds = Number(value);
+            ui.cooldownTooltip.textContent = `Actions have a ${formatDuration(cooldownSeconds)} cooldown period to prevent spam`;
+        }).catch(e => {
+            reportReadError('Failed to load cooldown length', e);
+            cooldownSecondsPromise = null;
+        });
+    }
+    return cooldownSecondsPromise;
+}
+
+// The contract compares against block.timestamp, so measure how far the local
+// clock is from the chain's and convert on-chain times with that offset
+async function updateChainClockOffset() {
+    const block = await getBlock(wagmiConfig, { chainId: NEXUS_CHAIN_ID_DEC });
+    chainClockOffsetMs = Date.now() - Number(block.timestamp) * 1000;
+}
+
 async function refreshCooldownTimer() {
     if (!userAddress || !CONTRACT_ADDRESS) {
-        ui.cooldownTimer.textContent = "";
+        ui.cooldownText.textContent = "";
+        clearReminderTimer();
+        updateReminderButton();
         return;
     }
     try {
-        const stats = await readContract(wagmiConfig, {
-            address: CONTRACT_ADDRESS,
-            abi: CONTRACT_ABI,
-            functionName: 'getUserStats',
-            args: [userAddress],
-            chainId: NEXUS_CHAIN_ID_DEC,
-        });
+        const [stats] = await Promise.all([
+            readContract(wagmiConfig, {
+                address: CONTRACT_ADDRESS,
+                abi: CONTRACT_ABI,
+                functionName: 'getUserStats',
+                args: [userAddress],
+                chainId: NEXUS_CHAIN_ID_DEC,
+            }),
+            loadCooldownSeconds(),
+            updateChainClockOffset(),
+        ]);
         const lastActionSec = Number(stats[2]);
-        cooldownEndTime = (lastActionSec + 3600) * 1000;
+        cooldownEndTime = lastActionSec > 0 ? (lastActionSec + cooldownSeconds) * 1000 + chainClockOffsetMs : null;
         updateCooldownDisplay();
+        updateReminderButton();
+        scheduleCooldownReminder();
     } catch (e) {
-        console.error("Error fetching cooldown:", e);
-        ui.cooldownTimer.textContent = "";
+        reportReadError('Error fetching cooldown', e);
+        ui.cooldownText.textContent = "";
         cooldownEndTime = null;
+        applyActionButtonState();
     }
 }
 
-function updateCooldownDisplay() {
-    if (!cooldownEndTime) return;
+function formatCountdown(ms) {
+    const remainingSec = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(remainingSec / 3600);
+    const mins = Math.floor((remainingSec % 3600) / 60);
+    const secs = remainingSec % 60;
+    const minsSecs = `${mins}m ${secs < 10 ? "0" : ""}${secs}s`;
+    return hours > 0 ? `${hours}h ${minsSecs}` : minsSecs;
+}
 
-    const now = Date.now();
-    if (now >= cooldownEndTime) {
-        ui.cooldownTimer.textContent = "✅ Ready!";
+// "1 hour", "30 minutes", "45 seconds"
+function formatDuration(seconds) {
+    const [amount, unit] = seconds % 3600 === 0 ? [seconds / 3600, 'hour']
+        : seconds % 60 === 0 ? [seconds / 60, 'minute']
+        : [seconds, 'second'];
+    return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+function updateCooldownDisplay() {
+    applyActionButtonState();
+    if (!cooldownEndTime || Date.now() >= cooldownEndTime) {
+        ui.cooldownText.textContent = userAddress ? "✅ Ready!" : "";
         return;
     }
-    const remainingMs = cooldownEndTime - now;
-    const remainingSec = Math.floor(remainingMs / 1000);
-    const mins = Math.floor(remainingSec / 60);
-    const secs = remainingSec % 60;
-    ui.cooldownTimer.textContent = `⏰ ${mins}m ${secs < 10 ? "0" : ""}${secs}s`;
+    ui.cooldownText.textContent = `⏰ ${formatCountdown(cooldownEndTime - Date.now())}`;
 }
 
 function startCooldownAutoRefresh() {
@@ -609,10 +1728,18 @@ function stopCooldownAutoRefresh() {
     }
 }
 
+// Show the admin console (and its nav link) only to the owner
+function setAdminAccess(isOwner) {
+    ui.adminControls.classList.toggle('hidden', !isOwner);
+    ui.adminUnavailable.classList.toggle('hidden', isOwner);
+    ui.navAdminLink.classList.toggle('hidden', !isOwner);
+}
+
 // Admin UI update
 async function updateAdminUI() {
     if (!userAddress || !CONTRACT_ADDRESS) {
-        ui.adminControls.classList.add('hidden');
+        isContractOwner = false;
+        setAdminAccess(false);
         return;
     }
     try {
@@ -624,15 +1751,151 @@ async function updateAdminUI() {
         });
         
         const isOwner = userAddress.toLowerCase() === ownerAddress.toLowerCase();
+        if (isOwner !== isContractOwner) {
+            isContractOwner = isOwner;
+            displayTxHistory();
+        }
         
-        if (isOwner) {
-            ui.adminControls.classList.remove('hidden');
-        } else {
-            ui.adminControls.classList.add('hidden');
+        setAdminAccess(isOwner);
+        if (isOwner) await loadAdminPreview();
+    } catch (e) {
+        reportReadError('Failed to check owner status', e);
+        isContractOwner = false;
+        setAdminAccess(false);
+    }
+}
+
+// Admin preview of current on-chain configuration
+async function loadAdminPreview() {
+    try {
+        const [fee, count, ...thresholds] = await Promise.all([
+            readContract(wagmiConfig, {
+                address: CONTRACT_ADDRESS,
+                abi: CONTRACT_ABI,
+                functionName: 'fee',
+                chainId: NEXUS_CHAIN_ID_DEC,
+            }),
+            readContract(wagmiConfig, {
+                address: CONTRACT_ADDRESS,
+                abi: CONTRACT_ABI,
+                functionName: 'count',
+                chainId: NEXUS_CHAIN_ID_DEC,
+            }),
+            ...BADGE_TIER_KEYS.map(key => readContract(wagmiConfig, {
+                address: CONTRACT_ADDRESS,
+                abi: CONTRACT_ABI,
+                functionName: `${key}Threshold`,
+                chainId: NEXUS_CHAIN_ID_DEC,
+            }))
+        ]);
+
+        ui.adminCurrentFee.textContent = `${formatEther(fee)} NEX`;
+        ui.adminCurrentCount.textContent = count.toString();
+        ui.adminCurrentThresholds.textContent = thresholds.map(t => t.toString()).join(' / ');
+
+        // Prefill untouched fields so the owner edits from the live values
+        if (!ui.adminFeeInput.value) ui.adminFeeInput.value = formatEther(fee);
+        BADGE_TIER_KEYS.forEach((key, i) => {
+            const input = ui.thresholdInputs[key];
+            if (!input.value) input.value = thresholds[i].toString();
+        });
+    } catch (e) {
+        reportReadError('Failed to load admin preview', e);
+    }
+}
+
+// Parse a NEX amount into wei, or null when the input is not a valid amount
+function parseFeeInput(value) {
+    const trimmed = value.trim();
+    if (!/^\d+(\.\d{1,18})?$/.test(trimmed)) return null;
+    return parseEther(trimmed);
+}
+
+// Parse a non-negative whole number into a bigint, or null when invalid
+function parseWholeNumberInput(value) {
+    const trimmed = value.trim();
+    if (!/^\d+$/.test(trimmed)) return null;
+    return BigInt(trimmed);
+}
+
+// Validate the seven threshold inputs: whole numbers, non-zero, strictly ascending
+function parseThresholdInputs() {
+    const values = [];
+    for (const key of BADGE_TIER_KEYS) {
+        const value = parseWholeNumberInput(ui.thresholdInputs[key].value);
+        const label = capitalize(key);
+        if (value === null || value === 0n) {
+            return { error: `${label} threshold must be a positive whole number.` };
+        }
+        if (values.length > 0 && value <= values[values.length - 1]) {
+            const prevLabel = capitalize(BADGE_TIER_KEYS[values.length - 1]);
+            return { error: `${label} threshold must be greater than ${prevLabel} (${values[values.length - 1]}).` };
+        }
+        values.push(value);
+    }
+    return { values };
+}
+
+// Send an owner-only transaction and report its outcome
+async function sendAdminTransaction({ functionName, args, button, pendingText, actionLabel, successMessage, txType = functionName }) {
+    if (!userAddress) {
+        displayMessage("Please connect your wallet first.", "error");
+        return false;
+    }
+
+    let hash;
+    const originalBtnText = button.textContent;
+
+    try {
+        button.disabled = true;
+        button.innerHTML = `<svg class="animate-spin inline-block w-4 h-4 mr-2" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle><path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>${pendingText}`;
+
+        showTxProgress();
+        displayMessage(`Sending ${actionLabel.toLowerCase()} transaction...`, "info", null, true);
+
+        console.log(`📤 Sending ${functionName} transaction with:`, { args, address: CONTRACT_ADDRESS });
+
+        // Simulate first so a certain revert never reaches the wallet
+        const { request } = await simulateContract(wagmiConfig, {
+            account: userAddress,
+            address: CONTRACT_ADDRESS,
+            abi: CONTRACT_ABI,
+            functionName,
+            args,
+            chainId: NEXUS_CHAIN_ID_DEC,
+        });
+
+        hash = await writeContract(wagmiConfig, request);
+
+        console.log('✅ Transaction sent:', hash);
+        displayMessage("Waiting for confirmation...", "info", hash, true);
+
+        const outcome = await trackPendingTransaction({ hash, type: txType, from: userAddress, submittedAt: Date.now() });
+
+        if (pendingTxTrackers.size === 0) hideTxProgress();
+
+        if (outcome.status === 'confirmed') {
+            triggerHaptic('success');
+            displayMessage(successMessage, "success", outcome.hash, false);
+            await loadAdminPreview();
+            return true;
         }
+        displayMessage(`${actionLabel} failed: ${describeTxOutcome(outcome)}`, 'error', outcome.hash, false);
+        return false;
     } catch (e) {
-        console.error("Failed to check owner status:", e);
-        ui.adminControls.classList.add('hidden');
+        const failure = classifyError(e);
+        console.error(`❌ ${functionName} error [${failure.code}]:`, e);
+        hideTxProgress();
+
+        const displayReason = failure.code === 'USER_REJECTED'
+            ? `${actionLabel} cancelled by user.`
+            : `${actionLabel} failed: ${describeError(failure)}`;
+
+        displayMessage(displayReason, "error", hash, false);
+        return false;
+    } finally {
+        button.disabled = false;
+        button.textContent = originalBtnText;
     }
 }
 
@@ -670,21 +1933,1623 @@ async function fetchLeaderboard() {
                     : i % 2 === 0 ? 'app-subtle-box' : 'bg-[#1a1a1a]';
                 
                 ui.leaderboardList.innerHTML += `<div class="flex justify-between items-center text-sm p-3 rounded-md transition-colors duration-200 ${rowClass}">
-                    <span class="font-mono text-sm">${i + 1}. ${formatAddress(addresses[i])}</span>
+                    <span class="flex items-center gap-2 min-w-0">
+                        <a href="${profilePath(addresses[i])}" data-route-link class="font-mono text-sm hover:underline flex items-center gap-1 min-w-0">${i + 1}. ${identityHtml(addresses[i])}</a>
+                        ${farcasterProfileButtonHtml(addresses[i])}
+                    </span>
                     <span class="font-bold text-lg">${counts[i].toString()}</span>
                 </div>`;
             }
         }
         
-        // Hide skeleton, show content
-        ui.leaderboardSkeleton.classList.add('hidden');
-        ui.leaderboardContainer.classList.remove('hidden');
-
+        resolveIdentities(addresses);
+        await updateUserRank(addresses, counts);
+        
+        // Hide skeleton, show content
+        ui.leaderboardSkeleton.classList.add('hidden');
+        ui.leaderboardContainer.classList.remove('hidden');
+
+    } catch (e) {
+        reportReadError('Leaderboard error', e);
+        ui.leaderboardSkeleton.classList.add('hidden');
+        ui.leaderboardContainer.classList.add('hidden');
+    }
+}
+
+// EVENT INDEXER - Aggregate per-address activity from contract logs
+
+// Apply decoded logs from either the backfill or the live watchers. Callers make
+// sure a log is applied once: a backfilled range first removes what was indexed
+// in it, and recordLiveLogs only takes logs past lastIndexedBlock it hasn't seen.
+function applyIndexedLogs(logs) {
+    let changed = false;
+    
+    for (const log of logs) {
+        if (!INDEXED_EVENT_NAMES.includes(log.eventName)) continue;
+        
+        indexedEvents.push({
+            eventName: log.eventName,
+            blockNumber: log.blockNumber,
+            logIndex: log.logIndex,
+            transactionHash: log.transactionHash,
+            args: log.args,
+        });
+        changed = true;
+        
+        if (log.eventName === 'CounterChanged' && log.args?.user) {
+            const key = log.args.user.toLowerCase();
+            const entry = playerStats.get(key) ?? { address: log.args.user, increments: 0, decrements: 0, lastBlock: 0n };
+            if (log.args.delta > 0n) {
+                entry.increments += 1;
+            } else {
+                entry.decrements += 1;
+            }
+            if (log.blockNumber > entry.lastBlock) entry.lastBlock = log.blockNumber;
+            playerStats.set(key, entry);
+        }
+    }
+    
+    if (changed) {
+        indexedEvents.sort((a, b) => (a.blockNumber === b.blockNumber
+            ? a.logIndex - b.logIndex
+            : (a.blockNumber < b.blockNumber ? -1 : 1)));
+    }
+    
+    return changed;
+}
+
+// First index in indexedEvents (sorted by block) at or after blockNumber
+function findIndexedEventIndex(blockNumber) {
+    let low = 0;
+    let high = indexedEvents.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (indexedEvents[mid].blockNumber < blockNumber) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+// Undo applyIndexedLogs for every event in fromBlock..toBlock, so a re-fetched
+// range replaces what was indexed there (live logs from a block that was since
+// reorged out included) instead of being merged into it
+function removeIndexedLogsInRange(fromBlock, toBlock) {
+    const start = findIndexedEventIndex(fromBlock);
+    const removed = indexedEvents.splice(start, findIndexedEventIndex(toBlock + 1n) - start);
+    const affectedPlayers = new Set();
+    
+    for (const event of removed) {
+        if (event.eventName !== 'CounterChanged' || !event.args?.user) continue;
+        
+        const key = event.args.user.toLowerCase();
+        const entry = playerStats.get(key);
+        if (!entry) continue;
+        if (event.args.delta > 0n) {
+            entry.increments -= 1;
+        } else {
+            entry.decrements -= 1;
+        }
+        affectedPlayers.add(key);
+    }
+    
+    for (const key of affectedPlayers) {
+        const entry = playerStats.get(key);
+        if (entry.increments + entry.decrements === 0) {
+            playerStats.delete(key);
+        } else if (entry.lastBlock >= fromBlock) {
+            entry.lastBlock = 0n;
+            for (let i = indexedEvents.length - 1; i >= 0; i--) {
+                const event = indexedEvents[i];
+                if (event.eventName === 'CounterChanged' && event.args.user?.toLowerCase() === key) {
+                    entry.lastBlock = event.blockNumber;
+                    break;
+                }
+            }
+        }
+    }
+    
+    return removed.length > 0;
+}
+
+// Blocks up to throughBlock are now owned by the backfill, which de-duplicates
+// by replacing whole ranges, so their live log ids are no longer needed
+function pruneLiveLogIds(throughBlock) {
+    for (const blockNumber of liveLogIds.keys()) {
+        if (blockNumber <= throughBlock) liveLogIds.delete(blockNumber);
+    }
+}
+
+function getEventScope() {
+    return `${NEXUS_CHAIN_ID_DEC}:${CONTRACT_ADDRESS.toLowerCase()}`;
+}
+
+// Apply logs from a live watcher and persist them (the backfill will pick up
+// any range the watcher missed, so lastIndexedBlock is not advanced here).
+// Callers pass logs through withoutRemovedLogs first.
+function recordLiveLogs(logs) {
+    const tracked = logs.filter(log => INDEXED_EVENT_NAMES.includes(log.eventName) && log.blockNumber !== null);
+    // Logs in already indexed blocks are skipped; a watcher re-delivering one (or the
+    // activity seed overlapping the backfill) must not count it twice
+    const fresh = tracked.filter(log => {
+        if (lastIndexedBlock !== null && log.blockNumber <= lastIndexedBlock) return false;
+        const logId = `${log.transactionHash}:${log.logIndex}`;
+        const blockIds = liveLogIds.get(log.blockNumber) ?? new Set();
+        if (blockIds.has(logId)) return false;
+        blockIds.add(logId);
+        liveLogIds.set(log.blockNumber, blockIds);
+        return true;
+    });
+    const changed = applyIndexedLogs(fresh);
+    if (changed) {
+        eventStore.save(getEventScope(), fresh);
+        scheduleIndexedViewsUpdate();
+    }
+    const user = userAddress?.toLowerCase();
+    if (user && tracked.some(log => log.eventName === 'CounterReset' || (log.eventName === 'CounterChanged' && log.args.user?.toLowerCase() === user))) {
+        displayTxHistory();
+    }
+    return changed;
+}
+
+// A watcher re-delivers the logs of a reorged-out block with removed: true. Those
+// are never applied; instead the recent blocks are re-indexed, which replaces
+// whatever was recorded from them
+function withoutRemovedLogs(logs) {
+    if (!logs.some(log => log.removed)) return logs;
+    backfillEventLogs();
+    return logs.filter(log => !log.removed);
+}
+
+// Load cached events, discarding the most recent REORG_REWIND_BLOCKS blocks so
+// any logs that were reorged out while we were away get re-fetched
+async function restoreEventCache() {
+    const scope = getEventScope();
+    const cached = await eventStore.load(scope);
+    if (!cached) return;
+    
+    const resumeFrom = cached.lastIndexedBlock - REORG_REWIND_BLOCKS + 1n;
+    if (resumeFrom <= CONTRACT_DEPLOY_BLOCK) {
+        await eventStore.clear(scope);
+        return;
+    }
+    
+    await eventStore.rewind(scope, resumeFrom);
+    // The activity seed may already have recorded some of these blocks live
+    removeIndexedLogsInRange(CONTRACT_DEPLOY_BLOCK, resumeFrom - 1n);
+    applyIndexedLogs(cached.logs.filter(log => log.blockNumber < resumeFrom));
+    lastIndexedBlock = resumeFrom - 1n;
+    pruneLiveLogIds(lastIndexedBlock);
+    
+    console.log(`💾 Restored ${indexedEvents.length} cached events, resuming from block ${resumeFrom}`);
+    renderFullLeaderboard();
+    scheduleIndexedViewsUpdate();
+}
+
+// Backfill all contract events from the deploy block (or where we left off) to the chain head
+async function backfillEventLogs() {
+    if (!wagmiConfig || !CONTRACT_ADDRESS) return;
+    if (isBackfilling) {
+        // Run again once the current pass ends so its fixed target block doesn't leave a gap
+        isBackfillQueued = true;
+        return;
+    }
+    isBackfilling = true;
+    
+    try {
+        if (!isEventCacheRestored) {
+            isEventCacheRestored = true;
+            await restoreEventCache();
+        }
+        
+        const client = getPublicClient(wagmiConfig, { chainId: NEXUS_CHAIN_ID_DEC });
+        backfillTargetBlock = await getBlockNumber(wagmiConfig, { chainId: NEXUS_CHAIN_ID_DEC });
+        
+        // Each pass re-reads the last REORG_REWIND_BLOCKS indexed blocks, which may
+        // have been replaced since they (or the live logs in them) were recorded
+        let fromBlock = CONTRACT_DEPLOY_BLOCK;
+        if (lastIndexedBlock !== null && lastIndexedBlock - REORG_REWIND_BLOCKS + 1n > CONTRACT_DEPLOY_BLOCK) {
+            fromBlock = lastIndexedBlock - REORG_REWIND_BLOCKS + 1n;
+        }
+        let pageSize = LOG_PAGE_SIZE;
+        
+        console.log(`📚 Backfilling events from block ${fromBlock} to ${backfillTargetBlock}`);
+        
+        while (fromBlock <= backfillTargetBlock) {
+            const toBlock = fromBlock + pageSize - 1n < backfillTargetBlock ? fromBlock + pageSize - 1n : backfillTargetBlock;
+            
+            let logs;
+            try {
+                logs = await client.getContractEvents({
+                    address: CONTRACT_ADDRESS,
+                    abi: CONTRACT_ABI,
+                    fromBlock,
+                    toBlock,
+                });
+            } catch (e) {
+                // RPCs cap the block range or result size; retry with a smaller page
+                if (pageSize > MIN_LOG_PAGE_SIZE) {
+                    pageSize /= 2n;
+                    continue;
+                }
+                throw e;
+            }
+            
+            const tracked = logs.filter(log => INDEXED_EVENT_NAMES.includes(log.eventName));
+            removeIndexedLogsInRange(fromBlock, toBlock);
+            applyIndexedLogs(tracked);
+            await eventStore.save(getEventScope(), tracked, toBlock, fromBlock);
+            lastIndexedBlock = toBlock;
+            pruneLiveLogIds(toBlock);
+            fromBlock = toBlock + 1n;
+            renderFullLeaderboard();
+            scheduleIndexedViewsUpdate();
+        }
+        
+        console.log(`✅ Indexed ${indexedEvents.length} events (${playerStats.size} players) through block ${lastIndexedBlock}`);
+    } catch (e) {
+        reportReadError('Event backfill failed', e);
+    } finally {
+        isBackfilling = false;
+        renderFullLeaderboard();
+        if (isBackfillQueued) {
+            isBackfillQueued = false;
+            backfillEventLogs();
+        }
+    }
+}
+
+function getRankedPlayers(sortKey) {
+    return [...playerStats.values()]
+        .map(player => ({
+            ...player,
+            total: player.increments + player.decrements,
+            net: player.increments - player.decrements,
+        }))
+        .sort((a, b) => b[sortKey] - a[sortKey] || b.total - a.total || a.address.localeCompare(b.address))
+        .map((player, i) => ({ ...player, rank: i + 1 }));
+}
+
+function renderFullLeaderboard() {
+    const sortKey = ui.fullLeaderboardSort.value;
+    const query = ui.fullLeaderboardSearch.value.trim().toLowerCase();
+    
+    const ranked = getRankedPlayers(sortKey);
+    // Search by address or by a resolved Farcaster username
+    const filtered = query
+        ? ranked.filter(player => player.address.toLowerCase().includes(query)
+            || getIdentity(player.address)?.username.toLowerCase().includes(query.replace(/^@/, '')))
+        : ranked;
+    const pageCount = Math.max(1, Math.ceil(filtered.length / FULL_LEADERBOARD_PAGE_SIZE));
+    fullLeaderboardPage = Math.min(fullLeaderboardPage, pageCount - 1);
+    
+    const start = fullLeaderboardPage * FULL_LEADERBOARD_PAGE_SIZE;
+    const rows = filtered.slice(start, start + FULL_LEADERBOARD_PAGE_SIZE);
+    
+    if (rows.length === 0) {
+        ui.fullLeaderboardList.innerHTML = `<p class="text-sm text-gray-500 text-center">${query ? 'No matching addresses.' : 'No entries yet.'}</p>`;
+    } else {
+        ui.fullLeaderboardList.innerHTML = rows.map((player, i) => {
+            const isCurrentUser = userAddress && player.address.toLowerCase() === userAddress.toLowerCase();
+            const rowClass = isCurrentUser
+                ? 'bg-indigo-900 ring-2 ring-indigo-500'
+                : i % 2 === 0 ? 'app-subtle-box' : 'bg-[#1a1a1a]';
+            
+            return `<div class="flex justify-between items-center text-sm p-3 rounded-md transition-colors duration-200 ${rowClass}">
+                <span class="flex items-center gap-2 min-w-0">
+                    <a href="${profilePath(player.address)}" data-route-link class="font-mono text-sm hover:underline flex items-center gap-1 min-w-0">${player.rank}. ${identityHtml(player.address)}</a>
+                    ${farcasterProfileButtonHtml(player.address)}
+                </span>
+                <span class="flex items-baseline gap-2">
+                    <span class="text-xs text-green-400">+${player.increments}</span>
+                    <span class="text-xs text-red-400">-${player.decrements}</span>
+                    <span class="font-bold text-lg">${player[sortKey]}</span>
+                </span>
+            </div>`;
+        }).join('');
+    }
+    
+    resolveIdentities(rows.map(player => player.address));
+    ui.fullLeaderboardPage.textContent = `${fullLeaderboardPage + 1} / ${pageCount}`;
+    ui.fullLeaderboardPrev.disabled = fullLeaderboardPage === 0;
+    ui.fullLeaderboardNext.disabled = fullLeaderboardPage >= pageCount - 1;
+    
+    if (isBackfilling && backfillTargetBlock !== null) {
+        ui.fullLeaderboardStatus.textContent = `Indexing events... block ${lastIndexedBlock ?? CONTRACT_DEPLOY_BLOCK} of ${backfillTargetBlock}`;
+    } else if (lastIndexedBlock !== null) {
+        ui.fullLeaderboardStatus.textContent = `${playerStats.size} players indexed through block ${lastIndexedBlock}`;
+    } else {
+        ui.fullLeaderboardStatus.textContent = 'Event history unavailable.';
+    }
+    
+    ui.fullLeaderboardContainer.classList.remove('hidden');
+}
+
+// COUNTER HISTORY CHART - Rebuilt from CounterChanged / CounterReset logs
+
+// Fetch (and cache) timestamps for the given blocks, a few requests at a time
+async function ensureBlockTimestamps(blockNumbers) {
+    if (!areBlockTimestampsRestored) {
+        areBlockTimestampsRestored = true;
+        const cached = await eventStore.loadBlockTimestamps(NEXUS_CHAIN_ID_DEC);
+        cached.forEach(entry => blockTimestamps.set(BigInt(entry.blockNumber), entry.timestamp));
+    }
+    
+    const missing = [...new Set(blockNumbers)].filter(blockNumber => !blockTimestamps.has(blockNumber));
+    
+    for (let i = 0; i < missing.length; i += BLOCK_FETCH_CONCURRENCY) {
+        const batch = missing.slice(i, i + BLOCK_FETCH_CONCURRENCY);
+        const blocks = await Promise.all(batch.map(blockNumber => getBlock(wagmiConfig, {
+            blockNumber,
+            chainId: NEXUS_CHAIN_ID_DEC,
+        }).catch(e => {
+            console.warn(`Failed to fetch block ${blockNumber}:`, e);
+            return null;
+        })));
+        
+        // Blocks within REORG_REWIND_BLOCKS of the head can still be replaced, so
+        // they are only kept for this session, not written to IndexedDB
+        const settledThrough = backfillTargetBlock !== null ? backfillTargetBlock - REORG_REWIND_BLOCKS : -1n;
+        const fetched = [];
+        blocks.forEach((block, j) => {
+            if (!block) return;
+            blockTimestamps.set(batch[j], Number(block.timestamp));
+            if (batch[j] <= settledThrough) fetched.push([batch[j], Number(block.timestamp)]);
+        });
+        if (fetched.length > 0) await eventStore.saveBlockTimestamps(NEXUS_CHAIN_ID_DEC, fetched);
+    }
+}
+
+// Blocks whose timestamps the chart fetches: every event block for a short history,
+// otherwise one block per bucket plus the latest event block. Buckets are a power of
+// two wide, so the anchors (and the cached timestamps) stay put as the history grows.
+function getChartAnchorBlocks(blockNumbers) {
+    const unique = [...new Set(blockNumbers)];
+    if (unique.length <= CHART_MAX_BLOCK_FETCHES) return unique;
+    
+    const first = unique.reduce((min, blockNumber) => (blockNumber < min ? blockNumber : min));
+    const last = unique.reduce((max, blockNumber) => (blockNumber > max ? blockNumber : max));
+    let bucket = 1n;
+    while ((last - first) / bucket >= BigInt(CHART_MAX_BLOCK_FETCHES)) bucket *= 2n;
+    
+    const anchors = new Set(unique.map(blockNumber => blockNumber - (blockNumber % bucket)));
+    anchors.add(last);
+    return [...anchors];
+}
+
+// Time of a block between fetched ones, interpolated from its neighbours in
+// `known` (sorted [blockNumber, timestamp] pairs); clamped outside their range
+function interpolateBlockTime(known, blockNumber) {
+    let low = 0;
+    let high = known.length - 1;
+    if (blockNumber <= known[low][0]) return known[low][1];
+    if (blockNumber >= known[high][0]) return known[high][1];
+    
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (known[mid][0] <= blockNumber) low = mid;
+        else high = mid;
+    }
+    const [fromBlock, fromTime] = known[low];
+    const [toBlock, toTime] = known[high];
+    return fromTime + Math.round((toTime - fromTime) * Number(blockNumber - fromBlock) / Number(toBlock - fromBlock));
+}
+
+// Counter value after each CounterChanged / CounterReset, in chain order
+function buildCounterSeries() {
+    const currentUser = userAddress?.toLowerCase();
+    const known = [...blockTimestamps.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    if (known.length === 0) return [];
+    
+    return indexedEvents
+        .filter(event => event.eventName === 'CounterChanged' || event.eventName === 'CounterReset')
+        .map(event => {
+            const isReset = event.eventName === 'CounterReset';
+            return {
+                time: blockTimestamps.get(event.blockNumber) ?? interpolateBlockTime(known, event.blockNumber),
+                value: Number(isReset ? event.args.newValue : event.args.newCount),
+                isReset,
+                isUserAction: !isReset && !!currentUser && event.args.user?.toLowerCase() === currentUser,
+            };
+        });
+}
+
+// Coalesce updates of views derived from indexed events (backfill pages and live logs)
+function scheduleIndexedViewsUpdate() {
+    if (isIndexedViewsUpdateScheduled) return;
+    isIndexedViewsUpdateScheduled = true;
+    setTimeout(async () => {
+        isIndexedViewsUpdateScheduled = false;
+        // The feed needs only a few block timestamps, so it goes before the chart
+        await updateActivityFeed();
+        await updateCounterChart();
+    }, 250);
+}
+
+async function updateCounterChart() {
+    // Live logs schedule updates while block times may still be loading; run once more afterwards
+    if (isChartUpdating) {
+        isChartUpdateQueued = true;
+        return;
+    }
+    isChartUpdating = true;
+    
+    try {
+        const anchors = getChartAnchorBlocks(indexedEvents
+            .filter(event => event.eventName === 'CounterChanged' || event.eventName === 'CounterReset')
+            .map(event => event.blockNumber));
+        
+        if (anchors.some(blockNumber => !blockTimestamps.has(blockNumber))) {
+            ui.counterChartStatus.textContent = 'Loading block timestamps...';
+        }
+        await ensureBlockTimestamps(anchors);
+        drawCounterChart();
+    } catch (e) {
+        reportReadError('Failed to update counter chart', e);
+        ui.counterChartStatus.textContent = 'Counter history unavailable.';
+    } finally {
+        isChartUpdating = false;
+        if (isChartUpdateQueued) {
+            isChartUpdateQueued = false;
+            updateCounterChart();
+        }
+    }
+}
+
+function drawCounterChart() {
+    ui.counterChartContainer.classList.remove('hidden');
+    ui.chartRangeButtons.forEach(button => {
+        const isActive = button.dataset.range === chartRange;
+        button.classList.toggle('bg-indigo-600', isActive);
+        button.classList.toggle('bg-gray-700', !isActive);
+    });
+    
+    const canvas = ui.counterChart;
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    // Not laid out while another view is showing; redrawn when the activity view opens
+    if (width === 0) return;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+    ctx.clearRect(0, 0, width, height);
+    
+    const series = buildCounterSeries();
+    const now = Math.floor(Date.now() / 1000);
+    const rangeSeconds = CHART_RANGES[chartRange];
+    const start = rangeSeconds ? now - rangeSeconds : (series[0]?.time ?? now);
+    
+    // Carry the last value before the window in as the starting point
+    const before = series.filter(point => point.time < start);
+    const points = series.filter(point => point.time >= start);
+    if (before.length > 0) {
+        points.unshift({ ...before[before.length - 1], time: start, isReset: false, isUserAction: false });
+    }
+    
+    if (points.length === 0) {
+        ui.counterChartStatus.textContent = series.length === 0 ? 'No counter history yet.' : 'No activity in this range.';
+        return;
+    }
+    ui.counterChartStatus.textContent = `${points.length} data point${points.length === 1 ? '' : 's'}`;
+    
+    // Extend the line to "now" at the latest value
+    const end = Math.max(now, points[points.length - 1].time);
+    const values = points.map(point => point.value);
+    // reduce rather than Math.min(...values): spreading a long history overflows the call stack
+    const minValue = values.reduce((min, value) => Math.min(min, value), Infinity);
+    const maxValue = values.reduce((max, value) => Math.max(max, value), -Infinity);
+    const padding = { top: 10, right: 10, bottom: 20, left: 40 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    
+    const x = time => padding.left + (end === start ? plotWidth : ((time - start) / (end - start)) * plotWidth);
+    const y = value => padding.top + (maxValue === minValue
+        ? plotHeight / 2
+        : plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight);
+    
+    // Axes labels
+    ctx.fillStyle = '#a3a3a3';
+    ctx.font = '10px "Roboto Mono", monospace';
+    ctx.textAlign = 'right';
+    ctx.fillText(maxValue.toString(), padding.left - 6, padding.top + 8);
+    ctx.fillText(minValue.toString(), padding.left - 6, padding.top + plotHeight);
+    ctx.textAlign = 'left';
+    ctx.fillText(new Date(start * 1000).toLocaleDateString(), padding.left, height - 4);
+    ctx.textAlign = 'right';
+    ctx.fillText(new Date(end * 1000).toLocaleDateString(), width - padding.right, height - 4);
+    
+    // Step line: the counter holds its value until the next event
+    ctx.strokeStyle = '#667eea';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x(points[0].time), y(points[0].value));
+    for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(x(points[i].time), y(points[i - 1].value));
+        ctx.lineTo(x(points[i].time), y(points[i].value));
+    }
+    ctx.lineTo(x(end), y(points[points.length - 1].value));
+    ctx.stroke();
+    
+    // Markers for resets and the current user's own actions
+    for (const point of points) {
+        if (!point.isReset && !point.isUserAction) continue;
+        
+        if (point.isReset) {
+            ctx.strokeStyle = 'rgba(249, 115, 22, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x(point.time), padding.top);
+            ctx.lineTo(x(point.time), padding.top + plotHeight);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
+        ctx.fillStyle = point.isReset ? '#f97316' : '#43e97b';
+        ctx.beginPath();
+        ctx.arc(x(point.time), y(point.value), 3.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+// EXPORTS - CSV / JSON downloads of personal stats, history and the full leaderboard
+
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\n');
+}
+
+// JSON.stringify that writes bigints as strings
+function toJson(data) {
+    return JSON.stringify(data, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+}
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportDateStamp() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// The leaderboard export reads the event index, so a half-finished backfill would
+// silently leave out older players. Returns false (and tells the user) until it has caught up.
+function isIndexReadyForExport() {
+    if (isBackfilling || lastIndexedBlock === null) {
+        const progress = lastIndexedBlock !== null && backfillTargetBlock !== null
+            ? ` (block ${lastIndexedBlock} of ${backfillTargetBlock})`
+            : '';
+        displayMessage(`History is still being indexed${progress}. Try the export again once it finishes.`, 'warning');
+        return false;
+    }
+    return true;
+}
+
+// Stats, badge and full action history for the connected user. It loads its own
+// history (loadUserHistory), so unlike the leaderboard it doesn't wait for the backfill.
+async function buildPersonalExport() {
+    const [stats, tokenId] = await Promise.all([
+        readContract(wagmiConfig, {
+            address: CONTRACT_ADDRESS,
+            abi: CONTRACT_ABI,
+            functionName: 'getUserStats',
+            args: [userAddress],
+            chainId: NEXUS_CHAIN_ID_DEC,
+        }),
+        readContract(wagmiConfig, {
+            address: CONTRACT_ADDRESS,
+            abi: CONTRACT_ABI,
+            functionName: 'userTokenId',
+            args: [userAddress],
+            chainId: NEXUS_CHAIN_ID_DEC,
+        }),
+    ]);
+    
+    // Complete through the chain head, with a block timestamp for every action
+    await loadUserHistory();
+    await ensureBlockTimestamps(getOnChainTxHistory().map(tx => tx.blockNumber));
+    
+    const tier = Number(stats[3]);
+    return {
+        address: userAddress,
+        chainId: NEXUS_CHAIN_ID_DEC,
+        contract: CONTRACT_ADDRESS,
+        indexedThroughBlock: userHistory.throughBlock,
+        exportedAt: new Date().toISOString(),
+        stats: {
+            increments: stats[0],
+            decrements: stats[1],
+            lastActionTime: stats[2] > 0n ? new Date(Number(stats[2]) * 1000).toISOString() : null,
+            badgeTier: tier,
+            badgeName: badgeTiers[tier - 1]?.name ?? null,
+            badgeTokenId: tokenId > 0n ? tokenId : null,
+        },
+        history: getMergedTxHistory().map(tx => ({
+            type: tx.type,
+            status: tx.status,
+            block: tx.blockNumber,
+            timestamp: tx.timestamp ? new Date(tx.timestamp).toISOString() : null,
+            hash: tx.hash,
+            resultingCount: tx.newCount ?? null,
+        })),
+    };
+}
+
+async function exportPersonalData(format) {
+    if (!userAddress) {
+        displayMessage("Please connect your wallet first.", "error");
+        return;
+    }
+    
+    try {
+        const data = await buildPersonalExport();
+        const filename = `nexus-counter-${userAddress.slice(0, 8).toLowerCase()}-${exportDateStamp()}.${format}`;
+        
+        if (format === 'json') {
+            downloadFile(filename, toJson(data), 'application/json');
+        } else {
+            const { stats } = data;
+            const csv = toCsv([
+                ['address', 'increments', 'decrements', 'lastActionTime', 'badgeTier', 'badgeName', 'badgeTokenId', 'indexedThroughBlock'],
+                [data.address, stats.increments, stats.decrements, stats.lastActionTime, stats.badgeTier, stats.badgeName, stats.badgeTokenId, data.indexedThroughBlock],
+                [],
+                ['type', 'status', 'block', 'timestamp', 'hash', 'resultingCount'],
+                ...data.history.map(tx => [tx.type, tx.status, tx.block, tx.timestamp, tx.hash, tx.resultingCount]),
+            ]);
+            downloadFile(filename, csv, 'text/csv');
+        }
+        displayMessage(`Exported ${data.history.length} transactions.`, 'success');
+    } catch (e) {
+        const failure = classifyError(e);
+        console.error(`Export failed [${failure.code}]:`, e);
+        displayMessage(`Export failed. ${describeError(failure)}`, 'error');
+    }
+}
+
+function exportLeaderboard(format) {
+    if (!isIndexReadyForExport()) return;
+    
+    const players = getRankedPlayers('total').map(player => ({
+        rank: player.rank,
+        address: player.address,
+        increments: player.increments,
+        decrements: player.decrements,
+        total: player.total,
+        net: player.net,
+        lastBlock: player.lastBlock,
+    }));
+    
+    if (players.length === 0) {
+        displayMessage('No leaderboard data to export yet.', 'error');
+        return;
+    }
+    
+    const filename = `nexus-counter-leaderboard-${exportDateStamp()}.${format}`;
+    const meta = {
+        chainId: NEXUS_CHAIN_ID_DEC,
+        contract: CONTRACT_ADDRESS,
+        indexedThroughBlock: lastIndexedBlock,
+        exportedAt: new Date().toISOString(),
+    };
+    if (format === 'json') {
+        downloadFile(filename, toJson({ ...meta, players }), 'application/json');
+    } else {
+        const columns = ['rank', 'address', 'increments', 'decrements', 'total', 'net', 'lastBlock'];
+        downloadFile(filename, toCsv([
+            Object.keys(meta),
+            Object.values(meta),
+            [],
+            columns,
+            ...players.map(player => columns.map(column => player[column])),
+        ]), 'text/csv');
+    }
+    displayMessage(`Exported ${players.length} players.`, 'success');
+}
+
+// Connected user's rank and the gap to the next place. The contract only moves
+// someone up when their count is strictly greater, so passing needs a +1.
+async function updateUserRank(addresses, counts) {
+    if (!userAddress) {
+        ui.userRank.textContent = '';
+        return;
+    }
+    
+    try {
+        if (leaderboardMaxTop === null) {
+            leaderboardMaxTop = Number(await readContract(wagmiConfig, {
+                address: CONTRACT_ADDRESS,
+                abi: CONTRACT_ABI,
+                functionName: 'MAX_TOP',
+                chainId: NEXUS_CHAIN_ID_DEC,
+            }));
+        }
+        
+        const index = addresses.findIndex(addr => addr.toLowerCase() === userAddress.toLowerCase());
+        rivalAddress = index > 0 ? addresses[index - 1] : null;
+        
+        if (index === 0) {
+            ui.userRank.textContent = `🥇 You are #1 of ${leaderboardMaxTop}!`;
+        } else if (index > 0) {
+            const gap = counts[index - 1] - counts[index] + 1n;
+            ui.userRank.textContent = `🏅 You are #${index + 1} of ${leaderboardMaxTop} · ${gap} action${gap === 1n ? '' : 's'} to pass #${index}`;
+        } else {
+            const userCount = await readContract(wagmiConfig, {
+                address: CONTRACT_ADDRESS,
+                abi: CONTRACT_ABI,
+                functionName: 'incrementCount',
+                args: [userAddress],
+                chainId: NEXUS_CHAIN_ID_DEC,
+            });
+            
+            if (addresses.length < leaderboardMaxTop) {
+                ui.userRank.textContent = `Not ranked yet · 1 action to enter the top ${leaderboardMaxTop}`;
+            } else {
+                const lastCount = counts[counts.length - 1];
+                const needed = lastCount >= userCount ? lastCount - userCount + 1n : 1n;
+                ui.userRank.textContent = `Outside the top ${leaderboardMaxTop} · ${needed} action${needed === 1n ? '' : 's'} to enter`;
+            }
+        }
+    } catch (e) {
+        reportReadError('Failed to compute user rank', e);
+        ui.userRank.textContent = '';
+    }
+}
+
+// Badge tier labels, rendered from the tier model
+function getBadgeTierLabel(tier) {
+    const badge = badgeTiers[tier - 1];
+    if (!badge) return "No Badge";
+    return `${badge.emoji} ${badge.name} (${badge.threshold}+ Actions)`;
+}
+
+function renderBadgeTooltip() {
+    const tiers = badgeTiers.map(badge => `${badge.name} (${badge.threshold}+)`);
+    ui.badgeTooltip.textContent = `Earn badges by performing actions: ${tiers.join(', ')}`;
+}
+
+// Progress from the current tier's threshold toward the next one. Tiers are
+// assigned from lifetime increments, so decrements do not count here.
+function renderBadgeProgress(increments, tier) {
+    const next = badgeTiers[tier];
+    
+    if (!next) {
+        ui.badgeProgressLabel.textContent = 'Highest badge tier reached';
+        ui.badgeProgressCount.textContent = `${increments} increments`;
+        ui.badgeProgressFill.style.width = '100%';
+    } else {
+        const floor = tier > 0 ? badgeTiers[tier - 1].threshold : 0n;
+        const span = next.threshold > floor ? next.threshold - floor : 1n;
+        const done = increments > floor ? increments - floor : 0n;
+        const percent = Math.min(100, Math.max(0, Number((done * 100n) / span)));
+        const remaining = next.threshold > increments ? next.threshold - increments : 0n;
+        
+        ui.badgeProgressLabel.textContent = remaining > 0n
+            ? `${remaining} more to ${next.emoji} ${next.name}`
+            : `${next.emoji} ${next.name} unlocks on your next increment`;
+        ui.badgeProgressCount.textContent = `${increments} / ${next.threshold}`;
+        ui.badgeProgressFill.style.width = `${percent}%`;
+    }
+    
+    ui.badgeProgress.classList.remove('hidden');
+}
+
+// Load thresholds and names from the contract; both are owner-configurable
+async function loadBadgeTiers() {
+    try {
+        const [thresholds, names] = await Promise.all([
+            Promise.all(BADGE_TIER_KEYS.map(key => readContract(wagmiConfig, {
+                address: CONTRACT_ADDRESS,
+                abi: CONTRACT_ABI,
+                functionName: `${key}Threshold`,
+                chainId: NEXUS_CHAIN_ID_DEC,
+            }))),
+            Promise.all(BADGE_TIER_KEYS.map((_, i) => readContract(wagmiConfig, {
+                address: CONTRACT_ADDRESS,
+                abi: CONTRACT_ABI,
+                functionName: 'badgeNames',
+                args: [BigInt(i + 1)],
+                chainId: NEXUS_CHAIN_ID_DEC,
+            })))
+        ]);
+        badgeTiers = buildBadgeTiers(thresholds, names);
+        renderBadgeTooltip();
+    } catch (e) {
+        reportReadError('Failed to fetch badge tiers', e);
+    }
+}
+
+// Badge NFT: decode the on-chain base64 JSON metadata from tokenURI
+const TOKEN_URI_JSON_PREFIX = 'data:application/json;base64,';
+const TOKEN_IMAGE_SVG_PREFIX = 'data:image/svg+xml;base64,';
+
+function decodeTokenMetadata(tokenUri) {
+    if (!tokenUri.startsWith(TOKEN_URI_JSON_PREFIX)) {
+        throw new Error('Unsupported tokenURI format');
+    }
+    const json = Buffer.from(tokenUri.slice(TOKEN_URI_JSON_PREFIX.length), 'base64').toString('utf8');
+    return JSON.parse(json);
+}
+
+// Returns { tokenId, metadata } for an address's badge, or null if it has none
+async function fetchBadgeNft(address) {
+    const tokenId = await readContract(wagmiConfig, {
+        address: CONTRACT_ADDRESS,
+        abi: CONTRACT_ABI,
+        functionName: 'userTokenId',
+        args: [address],
+        chainId: NEXUS_CHAIN_ID_DEC,
+    });
+    if (tokenId === 0n) return null;
+    
+    const tokenUri = await readContract(wagmiConfig, {
+        address: CONTRACT_ADDRESS,
+        abi: CONTRACT_ABI,
+        functionName: 'tokenURI',
+        args: [tokenId],
+        chainId: NEXUS_CHAIN_ID_DEC,
+    });
+    return { tokenId, metadata: decodeTokenMetadata(tokenUri) };
+}
+
+// Fill a badge card's image, name, attributes and explorer link
+function fillBadgeNftElements({ image, name, attributes, link }, { tokenId, metadata }) {
+    // Only render base64 SVG through <img>, which never executes embedded scripts
+    if (typeof metadata.image === 'string' && metadata.image.startsWith(TOKEN_IMAGE_SVG_PREFIX)) {
+        image.src = metadata.image;
+        image.classList.remove('hidden');
+    } else {
+        image.removeAttribute('src');
+        image.classList.add('hidden');
+    }
+    
+    name.textContent = `${metadata.name || 'Badge'} #${tokenId}`;
+    attributes.innerHTML = (metadata.attributes || []).map(attr => `
+        <div class="flex justify-between gap-2">
+            <dt style="color: var(--subtle-text);">${escapeHtml(attr.trait_type)}</dt>
+            <dd class="font-medium truncate">${escapeHtml(attr.value)}</dd>
+        </div>
+    `).join('');
+    link.href = `${EXPLORER_URL}/token/${CONTRACT_ADDRESS}/instance/${tokenId}`;
+    link.textContent = 'View on Blockscout ↗';
+}
+
+function renderBadgeNft(badge) {
+    if (!badge) {
+        ui.badgeNftCard.classList.add('hidden');
+        return;
+    }
+    
+    fillBadgeNftElements({
+        image: ui.badgeNftImage,
+        name: ui.badgeNftName,
+        attributes: ui.badgeNftAttributes,
+        link: ui.badgeNftLink,
+    }, badge);
+    ui.badgeNftCard.classList.remove('hidden');
+}
+
+async function updateBadgeNft() {
+    if (!userAddress || !CONTRACT_ADDRESS) {
+        renderBadgeNft(null);
+        return;
+    }
+    try {
+        renderBadgeNft(await fetchBadgeNft(userAddress));
+    } catch (e) {
+        reportReadError('Failed to fetch badge NFT', e);
+        renderBadgeNft(null);
+    }
+}
+
+// IDENTITY - Farcaster profiles for addresses, from a pluggable provider
+
+// Providers map addresses to { [lowercased address]: profile }. Pick one with
+// "identity" in deployments.json, e.g. { "provider": "fixture", "url": "identities.json" }
+const IDENTITY_PROVIDERS = {
+    // api/identities.js, or any stand-in service answering ?addresses=0x..,0x..
+    service: ({ url = '/api/identities' }) => ({
+        async resolve(addresses) {
+            const requestUrl = `${url}?addresses=${addresses.join(',')}`;
+            const response = await fetch(requestUrl);
+            if (!response.ok) throw new HttpRequestError({ url: requestUrl, status: response.status, details: `Identity service returned HTTP ${response.status}` });
+            return (await response.json()).profiles ?? {};
+        },
+    }),
+    // Static address -> profile JSON file, for working offline
+    fixture: ({ url = 'identities.json' }) => {
+        let fixturePromise = null;
+        return {
+            resolve() {
+                fixturePromise ??= fetchConfigFile(url.replace(/^\.?\//, '')).then(data => data ?? {}).catch(e => {
+                    fixturePromise = null;
+                    throw e;
+                });
+                return fixturePromise;
+            },
+        };
+    },
+    none: () => ({
+        resolve: async () => ({}),
+    }),
+};
+
+function createIdentityProvider(options = {}) {
+    const name = options.provider ?? 'service';
+    const factory = IDENTITY_PROVIDERS[name];
+    if (!factory) {
+        console.warn(`Unknown identity provider "${name}", usernames disabled`);
+        return IDENTITY_PROVIDERS.none();
+    }
+    return factory(options);
+}
+
+// Only the fields we render; anything without a username counts as unresolved
+function normalizeProfile(profile) {
+    if (!profile?.username) return null;
+    return {
+        fid: profile.fid ?? null,
+        username: String(profile.username),
+        displayName: profile.displayName ?? null,
+        pfpUrl: typeof profile.pfpUrl === 'string' && profile.pfpUrl.startsWith('https://') ? profile.pfpUrl : null,
+    };
+}
+
+function loadIdentityCache() {
+    try {
+        const saved = JSON.parse(safeLocalStorage.getItem(IDENTITY_CACHE_KEY) || '{}');
+        for (const [address, entry] of Object.entries(saved)) {
+            identities.set(address, { profile: normalizeProfile(entry.profile), fetchedAt: entry.fetchedAt });
+        }
+    } catch (e) {
+        console.warn('Failed to restore identity cache:', e);
+    }
+}
+
+function saveIdentityCache() {
+    safeLocalStorage.setItem(IDENTITY_CACHE_KEY, JSON.stringify(Object.fromEntries(identities)));
+}
+
+function isIdentityFresh(entry) {
+    const ttl = entry.profile ? IDENTITY_TTL_MS : IDENTITY_MISS_TTL_MS;
+    return Date.now() - entry.fetchedAt < ttl;
+}
+
+function rememberIdentity(address, profile) {
+    identities.set(address.toLowerCase(), { profile: normalizeProfile(profile), fetchedAt: Date.now() });
+}
+
+// Cached profile (possibly stale) or null
+function getIdentity(address) {
+    return identities.get(address.toLowerCase())?.profile ?? null;
+}
+
+// Look up addresses that aren't cached yet (or have expired) and refresh
+// every rendered identity once new profiles arrive
+async function resolveIdentities(addresses) {
+    // Backing off after a failed lookup; every render would otherwise ask again
+    if (!identityProvider || Date.now() < identityRetryAt) return;
+    
+    const missing = [...new Set(addresses.map(address => address.toLowerCase()))].filter(address => {
+        const entry = identities.get(address);
+        return !pendingIdentityLookups.has(address) && (!entry || !isIdentityFresh(entry));
+    });
+    if (missing.length === 0) return;
+    missing.forEach(address => pendingIdentityLookups.add(address));
+    
+    try {
+        for (let i = 0; i < missing.length; i += IDENTITY_BATCH_SIZE) {
+            const batch = missing.slice(i, i + IDENTITY_BATCH_SIZE);
+            const profiles = await identityProvider.resolve(batch);
+            const found = Object.fromEntries(
+                Object.entries(profiles).map(([address, profile]) => [address.toLowerCase(), profile])
+            );
+            batch.forEach(address => rememberIdentity(address, found[address]));
+        }
+        saveIdentityCache();
+        refreshIdentityElements();
+        identityFailures = 0;
+    } catch (e) {
+        // Misses aren't cached on failure; lookups resume after an exponential backoff
+        identityFailures += 1;
+        const delayMs = Math.min(IDENTITY_RETRY_BASE_MS * 2 ** (identityFailures - 1), IDENTITY_RETRY_MAX_MS);
+        identityRetryAt = Date.now() + delayMs;
+        console.warn(`Identity lookup failed [${classifyError(e).code}], retrying in ${formatDuration(delayMs / 1000)}:`, e);
+    } finally {
+        missing.forEach(address => pendingIdentityLookups.delete(address));
+    }
+}
+
+// Farcaster @username when known, otherwise the short address
+function getDisplayName(address) {
+    const profile = getIdentity(address);
+    return profile ? `@${profile.username}` : formatAddress(address);
+}
+
+function identityInnerHtml(address) {
+    const profile = getIdentity(address);
+    const avatar = profile?.pfpUrl
+        ? `<img src="${escapeHtml(profile.pfpUrl)}" alt="" loading="lazy" class="w-5 h-5 rounded-full object-cover flex-shrink-0">`
+        : '';
+    return `${avatar}<span class="truncate">${escapeHtml(getDisplayName(address))}</span>`;
+}
+
+// Avatar + name for an address; refreshIdentityElements() updates it in place
+function identityHtml(address) {
+    return `<span data-identity="${escapeHtml(address.toLowerCase())}" title="${escapeHtml(address)}" class="inline-flex items-center gap-1 align-middle min-w-0">${identityInnerHtml(address)}</span>`;
+}
+
+function refreshIdentityElements() {
+    document.querySelectorAll('[data-identity]').forEach(element => {
+        element.innerHTML = identityInnerHtml(element.dataset.identity);
+    });
+    document.querySelectorAll('[data-farcaster-profile]').forEach(button => {
+        button.classList.toggle('hidden', !getFarcasterFid(button.dataset.farcasterProfile));
+    });
+}
+
+// Connected-user header
+function setUserMeta(address) {
+    ui.userMeta.innerHTML = identityHtml(address);
+    resolveIdentities([address]);
+    updateSessionUI();
+}
+
+// The connected user's own profile, plus the FID and notification details used for reminders
+async function loadFarcasterUser(address) {
+    try {
+        const context = await sdk.context;
+        const user = context?.user;
+        if (user?.username) {
+            rememberIdentity(address, user);
+            saveIdentityCache();
+            refreshIdentityElements();
+        }
+        farcasterFid = user?.fid ?? null;
+        farcasterNotificationDetails = context?.client?.notificationDetails ?? null;
+        updateSessionUI();
+    } catch (e) {
+        console.warn('Could not read Farcaster context:', e);
+    }
+}
+
+// ACTIVITY FEED - Recent actions by everyone, from indexed and live logs
+
+// Newest first; indexedEvents is kept in chain order
+function getRecentActivity() {
+    return indexedEvents
+        .filter(event => ACTIVITY_FEED_EVENTS.includes(event.eventName))
+        .slice(-ACTIVITY_FEED_SIZE)
+        .reverse();
+}
+
+function renderActivityFeed() {
+    const events = getRecentActivity();
+    if (events.length === 0) {
+        ui.activityFeedList.innerHTML = `<p class="text-sm text-gray-500 text-center">${isBackfilling ? 'Loading activity...' : 'No activity yet'}</p>`;
+        return;
+    }
+    
+    // Highlight only entries that arrived after the feed was first shown
+    const isFirstRender = renderedFeedIds.size === 0;
+    ui.activityFeedList.innerHTML = events.map(event => {
+        const id = `${event.transactionHash}:${event.logIndex}`;
+        const isNew = !isFirstRender && !renderedFeedIds.has(id);
+        renderedFeedIds.add(id);
+        
+        const { icon, user, text } = describeContractEvent(event);
+        const timestamp = blockTimestamps.get(event.blockNumber);
+        const who = user
+            ? `<a href="${profilePath(user)}" data-route-link class="font-mono hover:underline">${identityHtml(user)}</a>`
+            : '';
+        
+        return `
+            <div class="${isNew ? 'feed-item-new ' : ''}flex justify-between items-center gap-2 text-sm p-2 rounded-md hover:bg-[#252525] transition-colors">
+                <div class="min-w-0 truncate">
+                    <span>${icon}</span>
+                    ${who}
+                    <span>${escapeHtml(text)}</span>
+                </div>
+                <div class="flex items-center gap-2 flex-shrink-0">
+                    <span class="text-xs text-gray-500">${timestamp ? formatTimeAgo(timestamp * 1000) : ''}</span>
+                    <a href="${EXPLORER_URL}/tx/${event.transactionHash}" target="_blank" rel="noopener noreferrer"
+                       class="text-xs text-indigo-400 hover:underline font-mono">${formatHash(event.transactionHash)}</a>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    resolveIdentities(events.map(event => describeContractEvent(event).user).filter(Boolean));
+}
+
+async function updateActivityFeed() {
+    try {
+        await ensureBlockTimestamps(getRecentActivity().map(event => event.blockNumber));
+    } catch (e) {
+        reportReadError('Failed to load activity timestamps', e);
+    }
+    renderActivityFeed();
+}
+
+// Pull the last ACTIVITY_SEED_BLOCKS blocks of logs so the feed fills in right
+// away, before the full backfill (which starts at the deploy block) gets there
+async function seedActivityFeed() {
+    if (!wagmiConfig || !CONTRACT_ADDRESS) return;
+    try {
+        const client = getPublicClient(wagmiConfig, { chainId: NEXUS_CHAIN_ID_DEC });
+        const head = await getBlockNumber(wagmiConfig, { chainId: NEXUS_CHAIN_ID_DEC });
+        const fromBlock = head - ACTIVITY_SEED_BLOCKS > CONTRACT_DEPLOY_BLOCK ? head - ACTIVITY_SEED_BLOCKS : CONTRACT_DEPLOY_BLOCK;
+        
+        const logs = await client.getContractEvents({
+            address: CONTRACT_ADDRESS,
+            abi: CONTRACT_ABI,
+            fromBlock,
+            toBlock: head,
+        });
+        recordLiveLogs(logs);
+    } catch (e) {
+        reportReadError('Failed to seed activity feed', e);
+    }
+    renderActivityFeed();
+}
+
+// COOLDOWN REMINDERS - Opt-in "ready" notifications. In a browser this tab shows a
+// Web Notification; inside Farcaster the reminder is scheduled server-side
+// (api/reminders.js) and sent as a mini-app notification, so the app can be closed.
+
+function getReminderPrefs() {
+    const stored = safeLocalStorage.getItem(REMINDER_PREFS_KEY);
+    try {
+        return stored ? JSON.parse(stored) : {};
+    } catch {
+        return {};
+    }
+}
+
+function isReminderEnabled() {
+    return !!userAddress && getReminderPrefs()[userAddress.toLowerCase()] === true;
+}
+
+function setReminderEnabled(enabled) {
+    const prefs = getReminderPrefs();
+    if (enabled) {
+        prefs[userAddress.toLowerCase()] = true;
+    } else {
+        delete prefs[userAddress.toLowerCase()];
+    }
+    safeLocalStorage.setItem(REMINDER_PREFS_KEY, JSON.stringify(prefs));
+}
+
+function updateReminderButton() {
+    ui.reminderBtn.classList.toggle('hidden', !userAddress);
+    ui.reminderBtn.textContent = isReminderEnabled() ? '🔕 Turn off ready reminder' : '🔔 Remind me when ready';
+}
+
+async function enableBrowserNotifications() {
+    if (!('Notification' in window)) {
+        displayMessage("This browser does not support notifications.", "error");
+        return false;
+    }
+    const permission = Notification.permission === 'default'
+        ? await Notification.requestPermission()
+        : Notification.permission;
+    if (permission !== 'granted') {
+        displayMessage("Notifications are blocked. Allow them in your browser settings to get reminders.", "error");
+        return false;
+    }
+    return true;
+}
+
+// Farcaster only delivers notifications once the mini app is added with notifications on
+async function enableFarcasterNotifications() {
+    try {
+        if (!farcasterNotificationDetails) {
+            const result = await sdk.actions.addMiniApp();
+            farcasterNotificationDetails = result?.notificationDetails ?? null;
+        }
+        if (!farcasterFid || !farcasterNotificationDetails) {
+            displayMessage("Turn on notifications for Nexus Counter in Farcaster to get reminders.", "error");
+            return false;
+        }
+        return true;
+    } catch (e) {
+        const failure = classifyError(e);
+        console.error(`Failed to enable Farcaster notifications [${failure.code}]:`, e);
+        displayMessage(`Could not enable Farcaster notifications. ${describeError(failure)}`, "error");
+        return false;
+    }
+}
+
+async function toggleCooldownReminder() {
+    if (!userAddress) return;
+    
+    if (isReminderEnabled()) {
+        setReminderEnabled(false);
+        clearReminderTimer();
+        if (isFarcasterEnvironment && farcasterFid) {
+            ensureFarcasterSession()
+                .then(() => authFetch(`${REMINDERS_API_URL}?fid=${farcasterFid}`, { method: 'DELETE' }))
+                .catch(e => console.warn('Failed to cancel Farcaster reminder:', e));
+        }
+        updateReminderButton();
+        displayMessage("Cooldown reminders turned off.", "info");
+        return;
+    }
+    
+    const enabled = isFarcasterEnvironment
+        ? await enableFarcasterNotifications()
+        : await enableBrowserNotifications();
+    if (!enabled) return;
+    
+    setReminderEnabled(true);
+    updateReminderButton();
+    scheduleCooldownReminder();
+    displayMessage("🔔 You'll be notified when your cooldown ends.", "success");
+}
+
+function clearReminderTimer() {
+    if (reminderTimeoutId) {
+        clearTimeout(reminderTimeoutId);
+        reminderTimeoutId = null;
+    }
+    scheduledReminderAt = null;
+}
+
+// (Re)schedule for the current cooldownEndTime. Called on every cooldown refresh,
+// so an action from another device moves the reminder to the new end time.
+function scheduleCooldownReminder() {
+    if (!isReminderEnabled() || !cooldownEndTime) {
+        clearReminderTimer();
+        return;
+    }
+    // The chain clock offset jitters by a block or two between refreshes
+    if (scheduledReminderAt !== null && Math.abs(cooldownEndTime - scheduledReminderAt) < REMINDER_RESCHEDULE_TOLERANCE_MS) return;
+    
+    clearReminderTimer();
+    scheduledReminderAt = cooldownEndTime;
+    if (cooldownEndTime <= Date.now()) return;
+    
+    if (isFarcasterEnvironment) {
+        syncFarcasterReminder(cooldownEndTime);
+    } else {
+        reminderTimeoutId = setTimeout(fireCooldownReminder, cooldownEndTime - Date.now());
+    }
+}
+
+async function syncFarcasterReminder(readyAt) {
+    try {
+        if (!farcasterFid) throw new Error('Farcaster user not loaded yet');
+        await ensureFarcasterSession();
+        const response = await authFetch(REMINDERS_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                fid: farcasterFid,
+                address: userAddress,
+                readyAt,
+                notificationDetails: farcasterNotificationDetails,
+            }),
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (e) {
+        console.warn("Failed to schedule Farcaster reminder:", e);
+        // Try again on the next cooldown refresh
+        scheduledReminderAt = null;
+    }
+}
+
+async function fireCooldownReminder() {
+    reminderTimeoutId = null;
+    
+    // Check the chain first: acting from another device restarts the cooldown,
+    // in which case the refresh has already rescheduled the reminder
+    await refreshCooldownTimer();
+    if (!isReminderEnabled() || !cooldownEndTime || cooldownEndTime > Date.now()) return;
+    
+    const title = '⏰ Nexus Counter';
+    const options = {
+        body: 'Your cooldown is over. You can increment or decrement again!',
+        icon: '/icon.png',
+        tag: 'nexus-counter-cooldown',
+    };
+    try {
+        // Chrome on Android only allows notifications through a service worker
+        // (the Notification constructor throws there)
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, options);
+            return;
+        }
+        const notification = new Notification(title, options);
+        notification.onclick = () => {
+            window.focus();
+            navigate('/');
+            notification.close();
+        };
+    } catch (e) {
+        console.warn('Failed to show cooldown notification:', e);
+        displayMessage("⏰ Your cooldown is over. You can act again!", "info");
+    }
+}
+
+// PROFILE VIEW - Read-only stats for any address, reachable at /address/0x...
+
+function profilePath(address) {
+    return `/address/${address}`;
+}
+
+function updateProfileCooldownDisplay() {
+    if (profileCooldownEndTime === null || Date.now() >= profileCooldownEndTime) {
+        ui.profileCooldown.textContent = '✅ Ready';
+        return;
+    }
+    ui.profileCooldown.textContent = `⏰ ${formatCountdown(profileCooldownEndTime - Date.now())}`;
+}
+
+async function loadProfile(address) {
+    ui.profileAddress.textContent = address;
+    ui.profileAddress.href = `${EXPLORER_URL}/address/${address}`;
+    ui.profileSkeleton.classList.remove('hidden');
+    ui.profileDetails.classList.add('hidden');
+    ui.profileError.classList.add('hidden');
+    
+    try {
+        const [stats, topAddresses, badge] = await Promise.all([
+            readContract(wagmiConfig, {
+                address: CONTRACT_ADDRESS,
+                abi: CONTRACT_ABI,
+                functionName: 'getUserStats',
+                args: [address],
+                chainId: NEXUS_CHAIN_ID_DEC,
+            }),
+            readContract(wagmiConfig, {
+                address: CONTRACT_ADDRESS,
+                abi: CONTRACT_ABI,
+                functionName: 'getTopAddresses',
+                chainId: NEXUS_CHAIN_ID_DEC,
+            }),
+            fetchBadgeNft(address),
+            loadCooldownSeconds(),
+            updateChainClockOffset(),
+        ]);
+        
+        // The user may have navigated to another profile while this one loaded
+        if (address !== profileAddress) return;
+        
+        const lastActionSec = Number(stats[2]);
+        ui.profileIncrements.textContent = stats[0].toString();
+        ui.profileDecrements.textContent = stats[1].toString();
+        ui.profileLastAction.textContent = lastActionSec > 0 ? formatTimeAgo(lastActionSec * 1000) : 'Never';
+        profileCooldownEndTime = lastActionSec > 0 ? (lastActionSec + cooldownSeconds) * 1000 + chainClockOffsetMs : null;
+        updateProfileCooldownDisplay();
+        if (!profileCooldownIntervalId) {
+            profileCooldownIntervalId = setInterval(updateProfileCooldownDisplay, 1000);
+        }
+        
+        // On-chain top-N position, falling back to the position in the indexed full board
+        const topIndex = topAddresses.findIndex(addr => addr.toLowerCase() === address.toLowerCase());
+        const indexed = getRankedPlayers('total').find(player => player.address.toLowerCase() === address.toLowerCase());
+        if (topIndex >= 0) {
+            ui.profileRank.textContent = `🏅 #${topIndex + 1} on the top ${topAddresses.length} leaderboard`;
+        } else if (indexed) {
+            ui.profileRank.textContent = `#${indexed.rank} of ${playerStats.size} players (indexed)`;
+        } else {
+            ui.profileRank.textContent = 'Not ranked yet';
+        }
+        
+        if (badge) {
+            fillBadgeNftElements({
+                image: ui.profileBadgeImage,
+                name: ui.profileBadgeName,
+                attributes: ui.profileBadgeAttributes,
+                link: ui.profileBadgeLink,
+            }, badge);
+            ui.profileBadge.classList.remove('hidden');
+            ui.profileNoBadge.classList.add('hidden');
+        } else {
+            ui.profileBadge.classList.add('hidden');
+            ui.profileNoBadge.classList.remove('hidden');
+        }
+        
+        ui.profileDetails.classList.remove('hidden');
+    } catch (e) {
+        const failure = reportReadError('Failed to load profile', e);
+        ui.profileError.textContent = failure.retryable
+            ? `Could not load this profile. ${describeError(failure)}`
+            : 'Could not load this profile.';
+        ui.profileError.classList.remove('hidden');
+    } finally {
+        ui.profileSkeleton.classList.add('hidden');
+    }
+}
+
+function showProfile(address) {
+    profileAddress = address;
+    loadProfile(address);
+}
+
+function hideProfile() {
+    profileAddress = null;
+    profileCooldownEndTime = null;
+    if (profileCooldownIntervalId) {
+        clearInterval(profileCooldownIntervalId);
+        profileCooldownIntervalId = null;
+    }
+}
+
+function closeProfile() {
+    navigate('/');
+}
+
+// TRANSACTION VIEW - Status, decoded call and contract events for /tx/0x...
+
+function txPath(hash) {
+    return `/tx/${hash}`;
+}
+
+// Icon, acting address (if any) and summary of a decoded contract event
+function describeContractEvent(event) {
+    const { args } = event;
+    switch (event.eventName) {
+        case 'CounterChanged': {
+            const verb = args.delta > 0n ? 'incremented' : 'decremented';
+            return { icon: args.delta > 0n ? '📈' : '📉', user: args.user, text: `${verb} to ${Number(args.newCount).toLocaleString()}` };
+        }
+        case 'BadgeAssigned':
+            return { icon: '🏅', user: args.user, text: `earned ${getBadgeTierLabel(Number(args.tier))}` };
+        case 'CounterReset':
+            return { icon: '🔄', user: null, text: `Counter reset to ${Number(args.newValue).toLocaleString()}` };
+        case 'FeeUpdated':
+            return { icon: '⚙️', user: null, text: `Fee set to ${formatEther(args.newFee)} NEX` };
+        case 'BadgeThresholdsUpdated':
+            return { icon: '⚙️', user: null, text: 'Badge thresholds updated' };
+        default:
+            return { icon: '•', user: null, text: event.eventName };
+    }
+}
+
+async function loadTransactionView(hash) {
+    txViewHash = hash;
+    ui.txViewHash.textContent = hash;
+    ui.txViewExplorer.href = `${EXPLORER_URL}/tx/${hash}`;
+    ui.txViewSkeleton.classList.remove('hidden');
+    ui.txViewDetails.classList.add('hidden');
+    ui.txViewError.classList.add('hidden');
+    
+    try {
+        const tx = await getTransaction(wagmiConfig, { hash, chainId: NEXUS_CHAIN_ID_DEC });
+        const receipt = tx.blockNumber !== null
+            ? await getTransactionReceipt(wagmiConfig, { hash, chainId: NEXUS_CHAIN_ID_DEC })
+            : null;
+        
+        // The user may have navigated to another transaction while this one loaded
+        if (hash !== txViewHash) return;
+        
+        const contract = CONTRACT_ADDRESS.toLowerCase();
+        ui.txViewStatus.textContent = !receipt ? '⏳ Pending' : receipt.status === 'success' ? '✅ Confirmed' : '❌ Reverted';
+        ui.txViewFrom.textContent = formatAddress(tx.from);
+        ui.txViewFrom.href = profilePath(tx.from);
+        ui.txViewBlock.textContent = receipt ? `#${receipt.blockNumber}` : '—';
+        
+        if (tx.to?.toLowerCase() === contract) {
+            const { functionName, args = [] } = decodeFunctionData({ abi: CONTRACT_ABI, data: tx.input });
+            ui.txViewAction.textContent = `${functionName}(${args.join(', ')})`;
+        } else {
+            ui.txViewAction.textContent = 'Not a Nexus Counter call';
+        }
+        
+        // Counter events only; the badge mint's Transfer is covered by BadgeAssigned
+        const events = receipt
+            ? parseEventLogs({
+                abi: CONTRACT_ABI,
+                logs: receipt.logs.filter(log => log.address.toLowerCase() === contract),
+            }).filter(event => event.eventName !== 'Transfer' && event.eventName !== 'Approval')
+            : [];
+        ui.txViewEvents.innerHTML = events.map(event => {
+            const { icon, user, text } = describeContractEvent(event);
+            return `<p class="p-2 rounded-md bg-[#1a1a1a]">${icon} ${user ? `${formatAddress(user)} ` : ''}${escapeHtml(text)}</p>`;
+        }).join('');
+        
+        ui.txViewDetails.classList.remove('hidden');
     } catch (e) {
-        console.error("Leaderboard error:", e);
-        ui.leaderboardSkeleton.classList.add('hidden');
-        ui.leaderboardContainer.classList.add('hidden');
+        const failure = reportReadError('Failed to load transaction', e);
+        if (hash !== txViewHash) return;
+        ui.txViewError.textContent = failure.retryable
+            ? `Could not load this transaction. ${describeError(failure)}`
+            : `Transaction not found on ${activeChain.name}.`;
+        ui.txViewError.classList.remove('hidden');
+    } finally {
+        if (hash === txViewHash) ui.txViewSkeleton.classList.add('hidden');
+    }
+}
+
+// ROUTER - History API views. Navigating only toggles [data-view] sections, so the
+// wagmi config, event watchers and timers keep running across views.
+
+const ROUTES = [
+    { name: 'home', pattern: /^\/$/ },
+    { name: 'leaderboard', pattern: /^\/leaderboard\/?$/ },
+    { name: 'activity', pattern: /^\/activity\/?$/ },
+    { name: 'admin', pattern: /^\/admin\/?$/ },
+    { name: 'profile', pattern: /^\/address\/(0x[0-9a-fA-F]{40})\/?$/ },
+    { name: 'tx', pattern: /^\/tx\/(0x[0-9a-fA-F]{64})\/?$/ },
+];
+
+// { name, param } for a pathname, or null when no route matches
+function matchRoute(pathname) {
+    for (const route of ROUTES) {
+        const match = pathname.match(route.pattern);
+        if (match) return { name: route.name, param: match[1] ?? null };
+    }
+    return null;
+}
+
+// Per-view setup when a route is entered
+function enterRoute(route) {
+    switch (route.name) {
+        case 'profile':
+            showProfile(getAddress(route.param.toLowerCase()));
+            break;
+        case 'tx':
+            loadTransactionView(route.param.toLowerCase());
+            break;
+        case 'activity':
+            renderActivityFeed();
+            if (!ui.counterChartContainer.classList.contains('hidden')) drawCounterChart();
+            break;
+    }
+}
+
+// Per-view teardown when a route is left; only timers owned by the view are stopped
+function leaveRoute(route) {
+    if (route.name === 'profile') hideProfile();
+    if (route.name === 'tx') txViewHash = null;
+}
+
+// Sync the visible view with the current URL
+function handleLocationChange() {
+    let route = matchRoute(window.location.pathname);
+    if (!route) {
+        history.replaceState({}, '', '/');
+        route = matchRoute('/');
     }
+    
+    if (currentRoute) leaveRoute(currentRoute);
+    currentRoute = route;
+    
+    ui.viewSections.forEach(section => {
+        section.classList.toggle('view-hidden', !section.dataset.view.split(' ').includes(route.name));
+    });
+    ui.navLinks.forEach(link => link.classList.toggle('active', link.dataset.nav === route.name));
+    
+    if (isRouteDataReady) enterRoute(route);
+}
+
+// Called once wagmi and the contract are set up: load the data of the view that
+// has been showing since startup
+function startRouteData() {
+    isRouteDataReady = true;
+    if (currentRoute) enterRoute(currentRoute);
+}
+
+function navigate(path) {
+    if (path !== window.location.pathname) history.pushState({}, '', path);
+    handleLocationChange();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
 // Badge update with skeleton loader
@@ -692,6 +3557,7 @@ async function updateBadge() {
     if (!userAddress || !CONTRACT_ADDRESS) {
         ui.badgeSkeleton.classList.add('hidden');
         ui.badgeTierContainer.classList.add('hidden');
+        ui.badgeProgress.classList.add('hidden');
         return;
     }
     
@@ -710,16 +3576,8 @@ async function updateBadge() {
 
         const tierValue = Number(stats[3]);
         
-        let tierText = "No Badge";
-        if (tierValue === 7) tierText = "⭐ Legendary Badge (1000+ Actions)";
-        else if (tierValue === 6) tierText = "👑 Master Badge (500+ Actions)";
-        else if (tierValue === 5) tierText = "💎 Diamond Badge (250+ Actions)";
-        else if (tierValue === 4) tierText = "💿 Platinum Badge (100+ Actions)";
-        else if (tierValue === 3) tierText = "📀 Gold Badge (50+ Actions)";
-        else if (tierValue === 2) tierText = "⚪ Silver Badge (25+ Actions)";
-        else if (tierValue === 1) tierText = "🟤 Bronze Badge (10+ Actions)";
-        
-        ui.badgeTier.textContent = tierText;
+        ui.badgeTier.textContent = getBadgeTierLabel(tierValue);
+        renderBadgeProgress(stats[0], tierValue);
         
         // Hide skeleton, show badge
         ui.badgeSkeleton.classList.add('hidden');
@@ -727,14 +3585,17 @@ async function updateBadge() {
         if (tierValue > 0) {
             ui.badgeTierContainer.classList.remove('hidden');
             celebrateBadgeMilestone(tierValue);
+            await updateBadgeNft();
         } else {
             ui.badgeTierContainer.classList.add('hidden');
+            renderBadgeNft(null);
         }
 
     } catch (e) {
-        console.error("Failed to fetch badge tier:", e);
+        reportReadError('Failed to fetch badge tier', e);
         ui.badgeSkeleton.classList.add('hidden');
         ui.badgeTierContainer.classList.add('hidden');
+        ui.badgeProgress.classList.add('hidden');
     }
 }
 
@@ -749,12 +3610,13 @@ async function switchToNexus() {
         const currentAccount = getAccount(wagmiConfig);
         if (currentAccount.isConnected && currentAccount.address) {
             userAddress = currentAccount.address;
-            ui.userMeta.textContent = formatAddress(userAddress);
-            setStatus('Nexus Testnet', 'text-green-500');
+            setUserMeta(userAddress);
+            setStatus(activeChain.name, 'text-green-500');
             updateConnectButton('CONNECTED');
             setActionButtonsEnabled(true);
             
             await updateCount(true);
+            await loadBadgeTiers();
             await updateBadge();
             await updateAdminUI();
             await updateWalletBalance();
@@ -765,9 +3627,11 @@ async function switchToNexus() {
             setupEventListeners();
         }
     } catch (error) {
-        const msg = error.message?.includes('rejected') 
-            ? "Network switch rejected by user." 
-            : "Failed to switch networks.";
+        const failure = classifyError(error);
+        console.error(`Network switch failed [${failure.code}]:`, error);
+        const msg = failure.code === 'USER_REJECTED'
+            ? "Network switch rejected by user."
+            : `Failed to switch networks. ${failure.code === 'CHAIN_MISMATCH' ? failure.hint : describeError(failure)}`;
         displayMessage(msg, 'error');
         updateConnectButton('WRONG_NETWORK');
     } finally { 
@@ -799,7 +3663,7 @@ async function updateCount(triggerAnimation = false) {
         lastCounterValue = newValue;
     } catch (e) {
         ui.counterValue.textContent = "Error";
-        console.error("Read count error:", e);
+        reportReadError('Read count error', e);
         if (triggerAnimation) displayMessage("Failed to read counter value.", 'error');
     } finally {
         ui.counterValue.classList.remove("counter-loading");
@@ -822,9 +3686,13 @@ function setupEventListeners() {
             abi: CONTRACT_ABI,
             eventName: 'CounterChanged',
             chainId: NEXUS_CHAIN_ID_DEC,
-            onLogs: async (logs) => {
+            onLogs: async (receivedLogs) => {
+                const logs = withoutRemovedLogs(receivedLogs);
+                if (logs.length === 0) return;
                 console.log('📊 CounterChanged event detected:', logs);
                 
+                if (recordLiveLogs(logs)) renderFullLeaderboard();
+                
                 for (const log of logs) {
                     try {
                         // Safely extract args with fallback
@@ -860,7 +3728,7 @@ function setupEventListeners() {
                 }
             },
             onError: (error) => {
-                console.error('Error watching CounterChanged events:', error);
+                reportReadError('Error watching CounterChanged events', error);
             }
         });
         
@@ -872,8 +3740,11 @@ function setupEventListeners() {
             abi: CONTRACT_ABI,
             eventName: 'BadgeAssigned',
             chainId: NEXUS_CHAIN_ID_DEC,
-            onLogs: async (logs) => {
+            onLogs: async (receivedLogs) => {
+                const logs = withoutRemovedLogs(receivedLogs);
+                if (logs.length === 0) return;
                 console.log('🏆 BadgeAssigned event detected:', logs);
+                recordLiveLogs(logs);
                 
                 for (const log of logs) {
                     try {
@@ -895,7 +3766,7 @@ function setupEventListeners() {
                 }
             },
             onError: (error) => {
-                console.error('Error watching BadgeAssigned events:', error);
+                reportReadError('Error watching BadgeAssigned events', error);
             }
         });
         
@@ -907,8 +3778,11 @@ function setupEventListeners() {
             abi: CONTRACT_ABI,
             eventName: 'CounterReset',
             chainId: NEXUS_CHAIN_ID_DEC,
-            onLogs: async (logs) => {
+            onLogs: async (receivedLogs) => {
+                const logs = withoutRemovedLogs(receivedLogs);
+                if (logs.length === 0) return;
                 console.log('🔄 CounterReset event detected:', logs);
+                recordLiveLogs(logs);
                 
                 for (const log of logs) {
                     try {
@@ -943,14 +3817,93 @@ function setupEventListeners() {
                 }
             },
             onError: (error) => {
-                console.error('Error watching CounterReset events:', error);
+                reportReadError('Error watching CounterReset events', error);
             }
         });
         
         eventUnwatchFns.push(counterResetUnwatch);
         
+        // Listen for FeeUpdated events so transactions never send a stale fee
+        const feeUpdatedUnwatch = watchContractEvent(wagmiConfig, {
+            address: CONTRACT_ADDRESS,
+            abi: CONTRACT_ABI,
+            eventName: 'FeeUpdated',
+            chainId: NEXUS_CHAIN_ID_DEC,
+            onLogs: async (receivedLogs) => {
+                const logs = withoutRemovedLogs(receivedLogs);
+                if (logs.length === 0) return;
+                console.log('💸 FeeUpdated event detected:', logs);
+                recordLiveLogs(logs);
+                
+                for (const log of logs) {
+                    try {
+                        if (!log.args) {
+                            console.warn('FeeUpdated event missing args:', log);
+                            continue;
+                        }
+                        
+                        const { newFee } = log.args;
+                        
+                        if (newFee === undefined) {
+                            console.warn('FeeUpdated event missing newFee:', log.args);
+                            continue;
+                        }
+                        
+                        console.log(`Fee updated to ${newFee} wei`);
+                        
+                        if (newFee !== contractFee) {
+                            contractFee = newFee;
+                            displayMessage(`⚠️ The action fee changed to ${formatEther(newFee)} NEX. Your next transaction will use the new fee.`, 'info');
+                            await updateCostPreview();
+                        }
+                    } catch (error) {
+                        console.error('Error processing FeeUpdated event:', error, log);
+                    }
+                }
+            },
+            onError: (error) => {
+                reportReadError('Error watching FeeUpdated events', error);
+            }
+        });
+        
+        eventUnwatchFns.push(feeUpdatedUnwatch);
+        
+        // Listen for BadgeThresholdsUpdated events to keep tier labels current
+        const thresholdsUpdatedUnwatch = watchContractEvent(wagmiConfig, {
+            address: CONTRACT_ADDRESS,
+            abi: CONTRACT_ABI,
+            eventName: 'BadgeThresholdsUpdated',
+            chainId: NEXUS_CHAIN_ID_DEC,
+            onLogs: async (receivedLogs) => {
+                const logs = withoutRemovedLogs(receivedLogs);
+                if (logs.length === 0) return;
+                console.log('🏅 BadgeThresholdsUpdated event detected:', logs);
+                
+                try {
+                    // The event carries no args, so re-read the thresholds once per batch
+                    await loadBadgeTiers();
+                    await updateBadge();
+                    displayMessage('Badge thresholds were updated by the owner.', 'info');
+                } catch (error) {
+                    console.error('Error processing BadgeThresholdsUpdated event:', error, logs);
+                }
+            },
+            onError: (error) => {
+                reportReadError('Error watching BadgeThresholdsUpdated events', error);
+            }
+        });
+        
+        eventUnwatchFns.push(thresholdsUpdatedUnwatch);
+        
         console.log('✅ Event listeners set up successfully');
         
+        // Catch up on anything emitted between the last backfill and the watchers starting
+        backfillEventLogs();
+        const recheckInterval = setInterval(backfillEventLogs, INDEX_RECHECK_MS);
+        eventUnwatchFns.push(() => clearInterval(recheckInterval));
+        // Redraw so the connected user's actions are marked
+        scheduleIndexedViewsUpdate();
+        
     } catch (error) {
         console.error('Failed to setup event listeners:', error);
     }
@@ -971,23 +3924,28 @@ function cleanupEventListeners() {
 // Send transaction with progress indicator
 async function sendTransaction(methodName, buttonElement, originalText) {
     if (!userAddress || buttonElement.disabled) return;
+    isActionPending = true;
     setActionButtonsEnabled(false);
     addSpinner(buttonElement, originalText);
-    setStatus('Awaiting Signature...', 'text-yellow-500');
     ui.messageContainer.classList.add('hidden');
     
     lastActionType = methodName;
     let hash;
 
     try {
-        const { hash: writeHash } = await writeContract(wagmiConfig, {
+        // Pre-flight simulation: surface reverts before the user signs or pays gas
+        setStatus('Checking transaction...', 'text-yellow-500');
+        const { request } = await simulateContract(wagmiConfig, {
+            account: userAddress,
             address: CONTRACT_ADDRESS,
             abi: CONTRACT_ABI,
             functionName: methodName,
             value: contractFee,
             chainId: NEXUS_CHAIN_ID_DEC,
         });
-        hash = writeHash;
+        
+        setStatus('Awaiting Signature...', 'text-yellow-500');
+        hash = await writeContract(wagmiConfig, request);
 
         buttonElement.textContent = 'Waiting for Tx...';
         setStatus('Transaction sent, waiting for mining...', 'text-orange-500');
@@ -996,52 +3954,49 @@ async function sendTransaction(methodName, buttonElement, originalText) {
         showTxProgress();
         displayMessage('Transaction pending...', 'info', hash, true);
         
-        const receipt = await waitForTransactionReceipt(wagmiConfig, { 
-            hash, 
-            chainId: NEXUS_CHAIN_ID_DEC 
-        });
+        // Persisted, so a reload mid-wait resumes tracking on startup
+        const outcome = await trackPendingTransaction({ hash, type: methodName, from: userAddress, submittedAt: Date.now() });
         
         // Hide progress bar
-        hideTxProgress();
+        if (pendingTxTrackers.size === 0) hideTxProgress();
         
-        if (receipt.status === 'success') {
-            displayMessage('Transaction successful!', 'success', hash, false);
-            setStatus('Nexus Testnet', 'text-green-500');
-            
-            // Add to transaction history
-            addToTxHistory(methodName, hash);
+        if (outcome.status === 'confirmed') {
+            triggerHaptic('success');
+            displayMessage(describeTxOutcome(outcome), 'success', outcome.hash, false);
+            setStatus(activeChain.name, 'text-green-500');
             
             // Events will handle updates automatically, but we can trigger badge check
             await updateBadge();
             await updateWalletBalance();
             await refreshCooldownTimer();
         } else {
-            displayMessage('Transaction failed (Status: Reverted).', 'error', hash, false);
+            displayMessage(describeTxOutcome(outcome), 'error', outcome.hash, false);
+            setStatus(activeChain.name, 'text-green-500');
         }
     } catch (e) {
-        console.error("Transaction Error:", e);
+        const failure = classifyError(e);
+        console.error(`Transaction Error [${failure.code}]:`, e);
         hideTxProgress();
         
-        let displayReason = 'Transaction failed.';
-        
-        if (e.message?.includes('User rejected')) {
-            displayReason = 'Transaction rejected by wallet.';
-        } else if (e.message?.includes('Action locked: wait')) {
-            displayReason = "Action blocked: Please wait 1 hour between actions.";
-        } else if (e.message?.includes('already zero')) {
-            displayReason = "Decrement failed: Counter is already zero.";
-        } else {
-            displayReason = e.message?.split('\n')[0]?.trim() || 'Transaction failed unexpectedly.';
-        }
+        const displayReason = failure.code === 'USER_REJECTED' ? 'Transaction rejected by wallet.' : describeError(failure);
 
         displayMessage(displayReason, 'error', hash, false);
-        if (userAddress) setStatus('Nexus Testnet', 'text-green-500');
+        if (userAddress) setStatus(activeChain.name, 'text-green-500');
     } finally {
-        setActionButtonsEnabled(true);
+        isActionPending = false;
         buttonElement.textContent = originalText;
+        setActionButtonsEnabled(true);
     }
 }
 
+// Per-share link to the player's card (api/share.js); the fc:miniapp embed on it
+// opens the app on their profile. v makes every share a new URL, so Farcaster
+// and Twitter fetch a fresh card instead of a cached one.
+function getShareUrl() {
+    if (!userAddress) return window.location.origin;
+    return `${window.location.origin}/share/${userAddress.toLowerCase()}?v=${Date.now().toString(36)}`;
+}
+
 // Cast to Farcaster
 async function castToFarcaster() {
     if (!lastActionType) {
@@ -1051,8 +4006,11 @@ async function castToFarcaster() {
     
     const action = lastActionType === 'increment' ? 'incremented' : 'decremented';
     const counterValue = ui.counterValue.textContent;
-    const text = `I just ${action} the Nexus Counter to ${counterValue}! 🎯\n\nJoin me:`;
-    const embedUrl = MINIAPP_URL;
+    // Tag the player just ahead when they're on Farcaster
+    const rival = rivalAddress && getIdentity(rivalAddress);
+    const rivalLine = rival ? `\n\nComing for your spot, @${rival.username} 👀` : '';
+    const text = `I just ${action} the Nexus Counter to ${counterValue}! 🎯${rivalLine}\n\nJoin me:`;
+    const embedUrl = getShareUrl();
     
     if (isFarcasterEnvironment && sdk?.actions?.composeCast) {
         try {
@@ -1066,15 +4024,16 @@ async function castToFarcaster() {
             if (result?.cast) {
                 displayMessage(`✅ Cast posted! Hash: ${result.cast.hash.slice(0, 10)}...`, 'success');
                 console.log('Cast hash:', result.cast.hash);
-                setStatus('Nexus Testnet', 'text-green-500');
+                setStatus(activeChain.name, 'text-green-500');
             } else {
                 displayMessage('Cast cancelled', 'info');
-                setStatus('Nexus Testnet', 'text-green-500');
+                setStatus(activeChain.name, 'text-green-500');
             }
         } catch (e) {
-            console.error('Cast failed:', e);
-            displayMessage('Failed to create cast. Please try again.', 'error');
-            setStatus('Nexus Testnet', 'text-green-500');
+            const failure = classifyError(e);
+            console.error(`Cast failed [${failure.code}]:`, e);
+            displayMessage(`Failed to create cast. ${describeError(failure)}`, 'error');
+            setStatus(activeChain.name, 'text-green-500');
         }
     } else {
         const warpcastUrl = `https://warpcast.com/~/compose?text=${encodeURIComponent(text)}&embeds[]=${encodeURIComponent(embedUrl)}`;
@@ -1083,11 +4042,11 @@ async function castToFarcaster() {
         if (popup) {
             displayMessage('Opening Warpcast composer...', 'success');
             setTimeout(() => {
-                setStatus('Nexus Testnet', 'text-green-500');
+                setStatus(activeChain.name, 'text-green-500');
             }, 2000);
         } else {
             displayMessage('Please allow popups to share on Warpcast', 'warning');
-            setStatus('Nexus Testnet', 'text-green-500');
+            setStatus(activeChain.name, 'text-green-500');
         }
     }
 }
@@ -1101,7 +4060,7 @@ function shareToTwitter() {
     
     const action = lastActionType === 'increment' ? 'incremented' : 'decremented';
     const counterValue = ui.counterValue.textContent;
-    const text = `I just ${action} the Nexus Counter to ${counterValue}! 🎯\n\nTry it yourself: https://nexus-counter.vercel.app\n\n#NexusNetwork #DeFi`;
+    const text = `I just ${action} the Nexus Counter to ${counterValue}! 🎯\n\nTry it yourself: ${getShareUrl()}\n\n#NexusNetwork #DeFi`;
     const url = `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}`;
     
     const popup = window.open(url, '_blank', 'width=600,height=700');
@@ -1113,6 +4072,236 @@ function shareToTwitter() {
     }
 }
 
+// SESSION - Sign-In with Ethereum, or Farcaster Quick Auth inside Farcaster
+
+function loadSavedSession() {
+    try {
+        const saved = JSON.parse(safeLocalStorage.getItem(SESSION_KEY) || 'null');
+        authSession = saved?.session?.exp > Date.now() / 1000 ? saved : null;
+    } catch (e) {
+        console.warn('Failed to restore session:', e);
+        authSession = null;
+    }
+}
+
+function clearSession() {
+    authSession = null;
+    safeLocalStorage.removeItem(SESSION_KEY);
+}
+
+// A session counts for the connected wallet, or for the Farcaster user it was issued to
+function isSignedIn() {
+    const session = authSession?.session;
+    if (!session || session.exp <= Date.now() / 1000) return false;
+    if (userAddress && session.address?.toLowerCase() === userAddress.toLowerCase()) return true;
+    return session.method === 'farcaster' && farcasterFid !== null && session.fid === farcasterFid;
+}
+
+// fetch with the session token, for endpoints behind a sign-in. A 401 means the
+// session was signed out or expired on the server, so it's dropped here too.
+async function authFetch(url, options = {}) {
+    const headers = { ...options.headers };
+    if (isSignedIn()) headers.Authorization = `Bearer ${authSession.token}`;
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401 && authSession) {
+        clearSession();
+        updateSessionUI();
+    }
+    return response;
+}
+
+// JSON from an auth endpoint. Unreachable servers and 5xx answers throw HttpRequestError,
+// so classifyError() reports them as retryable RPC_ERROR; rejections keep the server's message.
+async function fetchAuthJson(path, options) {
+    const url = `${authConfig.url}${path}`;
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (e) {
+        throw new HttpRequestError({ url, cause: e, details: e.message });
+    }
+    const data = await response.json().catch(() => ({}));
+    if (response.status >= 500) throw new HttpRequestError({ url, status: response.status, details: data.error });
+    if (!response.ok) throw new Error(data.error || `Sign-in failed (HTTP ${response.status})`);
+    return data;
+}
+
+function postAuth(path, body) {
+    return fetchAuthJson(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+}
+
+// Sign-in proof for the auth endpoint: a Quick Auth JWT inside Farcaster,
+// otherwise a SIWE message signed by the connected wallet
+async function getSignInProof() {
+    if (isFarcasterEnvironment && sdk?.quickAuth?.getToken) {
+        const options = authConfig.quickAuthServerOrigin ? { quickAuthServerOrigin: authConfig.quickAuthServerOrigin } : undefined;
+        const { token } = await sdk.quickAuth.getToken(options);
+        return { method: 'farcaster', token };
+    }
+    
+    const { nonce } = await fetchAuthJson('/nonce');
+    
+    const message = createSiweMessage({
+        address: getAddress(userAddress),
+        chainId: NEXUS_CHAIN_ID_DEC,
+        domain: window.location.host,
+        uri: window.location.origin,
+        version: '1',
+        nonce,
+        issuedAt: new Date(),
+        expirationTime: new Date(Date.now() + SIWE_MESSAGE_TTL_MS),
+        statement: 'Sign in to Nexus Counter. This does not send a transaction or cost gas.',
+    });
+    const signature = await signMessage(wagmiConfig, { account: userAddress, message });
+    return { method: 'siwe', message, signature };
+}
+
+async function startSession() {
+    authSession = await postAuth('/verify', await getSignInProof());
+    safeLocalStorage.setItem(SESSION_KEY, JSON.stringify(authSession));
+    updateSessionUI();
+}
+
+// Reminder requests must come from a session for the Farcaster user; inside
+// Farcaster, Quick Auth signs in without a prompt
+async function ensureFarcasterSession() {
+    if (isSignedIn() && authSession.session.fid === farcasterFid) return;
+    await startSession();
+}
+
+async function signIn() {
+    if (!userAddress) return;
+    ui.signInBtn.disabled = true;
+    try {
+        setStatus('Signing in...', 'text-yellow-500');
+        await startSession();
+        displayMessage('✅ Signed in', 'success');
+    } catch (e) {
+        const failure = classifyError(e);
+        console.error(`Sign-in failed [${failure.code}]:`, e);
+        if (failure.code === 'USER_REJECTED') {
+            displayMessage('Sign-in cancelled', 'info');
+        } else {
+            displayMessage(describeError(failure), 'error');
+        }
+    } finally {
+        setStatus(activeChain.name, 'text-green-500');
+        ui.signInBtn.disabled = false;
+        updateSessionUI();
+    }
+}
+
+async function signOut() {
+    const token = authSession?.token;
+    clearSession();
+    updateSessionUI();
+    if (!token) return;
+    // Revoke on the server too; the local session is gone either way
+    try {
+        await fetch(`${authConfig.url}/session`, { method: 'DELETE', headers: { Authorization: `Bearer ${token}` } });
+    } catch (e) {
+        console.warn('Failed to revoke session:', e);
+    }
+}
+
+function updateSessionUI() {
+    ui.sessionControls.classList.toggle('hidden', !userAddress);
+    const signedIn = isSignedIn();
+    ui.sessionMeta.classList.toggle('hidden', !signedIn);
+    ui.signInBtn.textContent = signedIn ? 'Sign out' : 'Sign in';
+}
+
+// FARCASTER MINI APP - Launch context, haptics and profile links
+
+// Capabilities of the host client, e.g. 'haptics.impactOccurred'
+function getMiniAppCapabilities() {
+    miniAppCapabilitiesPromise ??= sdk.getCapabilities().catch(e => {
+        console.warn('Could not read mini-app capabilities:', e);
+        return [];
+    });
+    return miniAppCapabilitiesPromise;
+}
+
+// Haptic feedback inside Farcaster clients that support it; a no-op elsewhere.
+// 'success' / 'warning' / 'error' are notification haptics, 'light' / 'medium' / 'heavy' impacts.
+async function triggerHaptic(kind) {
+    if (!isFarcasterEnvironment) return;
+    try {
+        const capabilities = await getMiniAppCapabilities();
+        if (['success', 'warning', 'error'].includes(kind)) {
+            if (capabilities.includes('haptics.notificationOccurred')) await sdk.haptics.notificationOccurred(kind);
+        } else if (capabilities.includes('haptics.impactOccurred')) {
+            await sdk.haptics.impactOccurred(kind);
+        }
+    } catch (e) {
+        console.warn('Haptic feedback failed:', e);
+    }
+}
+
+// FID to open with viewProfile, only inside a Farcaster client
+function getFarcasterFid(address) {
+    return isFarcasterEnvironment ? getIdentity(address)?.fid ?? null : null;
+}
+
+// Shown next to leaderboard names once the player's FID is known (see refreshIdentityElements)
+function farcasterProfileButtonHtml(address) {
+    const hidden = getFarcasterFid(address) ? '' : 'hidden ';
+    return `<button type="button" data-farcaster-profile="${escapeHtml(address.toLowerCase())}" title="Open Farcaster profile"
+        class="${hidden}flex-shrink-0 text-xs text-purple-400 hover:text-purple-300">↗</button>`;
+}
+
+// Address from a /share/<address> link (see getShareUrl)
+function getSharedAddress(embedUrl) {
+    try {
+        const match = new URL(embedUrl).pathname.match(/^\/share\/(0x[0-9a-fA-F]{40})$/);
+        return match ? match[1] : null;
+    } catch {
+        return null;
+    }
+}
+
+// Opened from a cooldown reminder: show the timer and whether actions are open again
+async function showCooldownFromNotification() {
+    if (userAddress) await refreshCooldownTimer();
+    
+    if (cooldownEndTime === null || cooldownEndTime <= Date.now()) {
+        displayMessage('⏰ Your cooldown is over - you can increment or decrement again!', 'success');
+    } else {
+        displayMessage(`⏰ Still cooling down: ${formatCountdown(cooldownEndTime - Date.now())} left`, 'info');
+    }
+    ui.cooldownTimer.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    ui.cooldownTimer.classList.add('animate-pulse');
+    setTimeout(() => ui.cooldownTimer.classList.remove('animate-pulse'), 3000);
+}
+
+// Route by how the mini app was opened: notifications land on the cooldown, cast
+// embeds of a share link on the sharer's profile. Other launches keep the URL's view.
+async function handleLaunchContext() {
+    let location;
+    try {
+        location = (await sdk.context)?.location;
+    } catch (e) {
+        console.warn('Could not read launch context:', e);
+        return;
+    }
+    
+    switch (location?.type) {
+        case 'notification':
+            if (window.location.pathname !== '/') navigate('/');
+            await showCooldownFromNotification();
+            break;
+        case 'cast_embed': {
+            const address = getSharedAddress(location.embed);
+            if (address && profilePath(address) !== window.location.pathname) navigate(profilePath(address));
+            break;
+        }
+    }
+}
+
 // Initialize SDK
 (async () => {
   try {
@@ -1134,13 +4323,13 @@ async function tryAutoReconnect() {
         if (currentChainId !== NEXUS_CHAIN_ID_DEC) {
             setStatus('Wrong Network', 'text-red-500');
             updateConnectButton('WRONG_NETWORK');
-            ui.userMeta.textContent = formatAddress(currentAccount.address);
+            setUserMeta(currentAccount.address);
             return false;
         }
         
         userAddress = currentAccount.address;
-        ui.userMeta.textContent = formatAddress(userAddress);
-        setStatus('Nexus Testnet', 'text-green-500');
+        setUserMeta(userAddress);
+        setStatus(activeChain.name, 'text-green-500');
         updateConnectButton('CONNECTED');
         setActionButtonsEnabled(true);
         
@@ -1172,6 +4361,7 @@ async function tryAutoReconnect() {
             });
             previousBadgeTier = Number(stats[3]);
             
+            await loadBadgeTiers();
             await updateBadge();
             await updateAdminUI();
             await updateWalletBalance();
@@ -1183,7 +4373,7 @@ async function tryAutoReconnect() {
             console.log('Auto-reconnected:', userAddress);
             return true;
         } catch (e) {
-            console.error('Failed to fetch contract data:', e);
+            reportReadError('Failed to fetch contract data', e);
             return false;
         }
     }
@@ -1192,6 +4382,10 @@ async function tryAutoReconnect() {
 
 // Initialize Wagmi and AppKit
 (async () => {
+    // Show the view for the landing URL (/leaderboard, /address/0x..., /tx/0x..., ...)
+    // right away, also when the config or chain check below stops the startup
+    handleLocationChange();
+    
     try {
         const configLoaded = await loadContractConfig();
         
@@ -1201,6 +4395,19 @@ async function tryAutoReconnect() {
             ui.connectBtn.disabled = true;
             return;
         }
+        loadIdentityCache();
+        loadSavedSession();
+        
+        // A wrong RPC would read from (and switch wallets to) the wrong network
+        const rpcChainId = await getRpcChainId();
+        if (rpcChainId !== null && rpcChainId !== NEXUS_CHAIN_ID_DEC) {
+            console.error(`RPC ${NEXUS_RPC_URL} reports chain ${rpcChainId}, expected ${NEXUS_CHAIN_ID_DEC}`);
+            displayMessage(`Configuration error: the RPC reports chain ID ${rpcChainId}, but this deployment expects ${NEXUS_CHAIN_ID_DEC}.`, 'error');
+            setStatus('Chain ID Mismatch', 'text-red-500');
+            updateConnectButton('DISCONNECTED');
+            ui.connectBtn.disabled = true;
+            return;
+        }
 
         // Detect environment
         isFarcasterEnvironment = await isFarcasterEmbed();
@@ -1224,7 +4431,7 @@ async function tryAutoReconnect() {
 
         // Create Wagmi adapter
         const wagmiAdapter = new WagmiAdapter({
-            networks: [nexusTestnet],
+            networks: [activeChain],
             projectId: PROJECT_ID,
             ssr: false
         });
@@ -1239,11 +4446,12 @@ async function tryAutoReconnect() {
                 if (farcasterConnector) {
                     const conn = await connect(wagmiConfig, { connector: farcasterConnector });
                     userAddress = conn.accounts[0];
-                    ui.userMeta.textContent = formatAddress(userAddress);
-                    setStatus('Nexus Testnet', 'text-green-500');
+                    setUserMeta(userAddress);
+                    setStatus(activeChain.name, 'text-green-500');
                     updateConnectButton('CONNECTED');
                     setActionButtonsEnabled(true);
                     connected = true;
+                    loadFarcasterUser(userAddress);
                     console.log('Connected via Farcaster:', userAddress);
                 }
             } catch (e) {
@@ -1254,7 +4462,7 @@ async function tryAutoReconnect() {
         // Create AppKit modal
         modal = createAppKit({
             adapters: [wagmiAdapter],
-            networks: [nexusTestnet],
+            networks: [activeChain],
             projectId: PROJECT_ID,
             metadata: {
                 name: 'Nexus Counter',
@@ -1288,8 +4496,9 @@ async function tryAutoReconnect() {
                     functionName: 'fee',
                     chainId: NEXUS_CHAIN_ID_DEC,
                 });
+                await updateCostPreview();
             } catch (e) {
-                console.error('Failed to fetch contract fee:', e);
+                reportReadError('Failed to fetch contract fee', e);
             }
         } else {
             setStatus('Ready to connect', 'text-gray-500');
@@ -1301,13 +4510,24 @@ async function tryAutoReconnect() {
             fetchLeaderboard();
         }
 
+        // Fill the activity feed from recent blocks, then index the full history
+        seedActivityFeed();
+        backfillEventLogs();
+
+        // Pick up the connected address's transactions that were still pending before a reload
+        resumePendingTransactions();
+
+        // Load the landing view's data (profile stats, transaction details, ...)
+        startRouteData();
+        if (isFarcasterEnvironment) handleLaunchContext();
+
         // Watch account changes
         watchAccount(wagmiConfig, {
             onChange(account) {
                 if (account.address && account.isConnected) {
                     console.log('Account changed to:', account.address);
                     userAddress = account.address;
-                    ui.userMeta.textContent = formatAddress(userAddress);
+                    setUserMeta(userAddress);
                     
                     const currentChainId = getChainId(wagmiConfig);
                     if (currentChainId !== NEXUS_CHAIN_ID_DEC) {
@@ -1320,7 +4540,7 @@ async function tryAutoReconnect() {
                         ui.walletBalance.classList.add('hidden');
                         ui.txHistoryContainer.classList.add('hidden');
                     } else {
-                        setStatus('Nexus Testnet', 'text-green-500');
+                        setStatus(activeChain.name, 'text-green-500');
                         updateConnectButton('CONNECTED');
                         setActionButtonsEnabled(true);
                         
@@ -1331,6 +4551,7 @@ async function tryAutoReconnect() {
                             chainId: NEXUS_CHAIN_ID_DEC,
                         }).then(fee => {
                             contractFee = fee;
+                            updateCostPreview();
                         }).catch(console.error);
                         
                         // Get initial value before starting updates
@@ -1355,11 +4576,12 @@ async function tryAutoReconnect() {
                             previousBadgeTier = Number(stats[3]);
                         }).catch(console.error);
                         
-                        updateBadge();
+                        loadBadgeTiers().then(updateBadge);
                         updateAdminUI();
                         updateWalletBalance();
                         fetchLeaderboard();
                         displayTxHistory();
+                        resumePendingTransactions();
                         startAutoRefresh();
                         startCooldownAutoRefresh();
                         setupEventListeners(); // Setup event listeners
@@ -1368,18 +4590,29 @@ async function tryAutoReconnect() {
                     console.log('Wallet disconnected');
                     userAddress = null;
                     ui.userMeta.textContent = 'Not Connected';
+                    updateSessionUI();
                     setStatus('Disconnected', 'text-gray-500');
                     updateConnectButton('DISCONNECTED');
                     setActionButtonsEnabled(false);
                     stopAutoRefresh();
                     stopCooldownAutoRefresh();
                     cleanupEventListeners();
-                    ui.cooldownTimer.textContent = '';
+                    clearReminderTimer();
+                    updateReminderButton();
+                    ui.cooldownText.textContent = '';
                     ui.badgeTierContainer.classList.add('hidden');
                     ui.badgeSkeleton.classList.add('hidden');
+                    ui.badgeProgress.classList.add('hidden');
+                    renderBadgeNft(null);
+                    ui.userRank.textContent = '';
                     ui.walletBalance.classList.add('hidden');
                     ui.txHistoryContainer.classList.add('hidden');
+                    renderPendingQueue();
                     previousBadgeTier = 0;
+                    isContractOwner = false;
+                    setAdminAccess(false);
+                    walletBalance = null;
+                    hasInsufficientBalance = false;
                 }
             }
         });
@@ -1397,109 +4630,152 @@ ui.decrementBtn.onclick = () => sendTransaction('decrement', ui.decrementBtn, 'D
 ui.castBtn.onclick = castToFarcaster;
 ui.twitterBtn.onclick = shareToTwitter;
 ui.copyBtn.onclick = () => copyToClipboard(ui.copyBtn.getAttribute('data-hash'));
+ui.reminderBtn.onclick = toggleCooldownReminder;
 
-// Admin Reset Button
-ui.resetBtn.onclick = async () => {
-    if (!userAddress) {
-        displayMessage("Please connect your wallet first.", "error");
+// Transaction history filters and pagination
+ui.txFilterButtons.forEach(button => {
+    button.onclick = () => {
+        txHistoryFilter = button.dataset.filter;
+        txHistoryPage = 0;
+        renderTxHistory();
+    };
+});
+ui.txHistoryPrev.onclick = () => {
+    txHistoryPage = Math.max(0, txHistoryPage - 1);
+    renderTxHistory();
+};
+ui.txHistoryNext.onclick = () => {
+    txHistoryPage += 1;
+    renderTxHistory();
+};
+
+// In-app links and navigation
+document.addEventListener('click', (event) => {
+    const link = event.target.closest('a[data-route-link]');
+    if (!link || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey) return;
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin || !matchRoute(url.pathname)) return;
+    event.preventDefault();
+    navigate(url.pathname);
+});
+// Leaderboard "↗" buttons open the player's Farcaster profile in the client
+document.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-farcaster-profile]');
+    if (!button) return;
+    const fid = getFarcasterFid(button.dataset.farcasterProfile);
+    if (fid) sdk.actions.viewProfile({ fid }).catch(e => console.warn('viewProfile failed:', e));
+});
+ui.profileCloseBtn.onclick = closeProfile;
+ui.signInBtn.onclick = () => (isSignedIn() ? signOut() : signIn());
+window.addEventListener('popstate', handleLocationChange);
+
+// Deployment selector (only shown when deployments.json lists more than one)
+ui.deploymentSelect.onchange = () => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('deployment', ui.deploymentSelect.value);
+    window.location.assign(url.toString());
+};
+
+// Exports
+ui.exportHistoryCsv.onclick = () => exportPersonalData('csv');
+ui.exportHistoryJson.onclick = () => exportPersonalData('json');
+ui.exportLeaderboardCsv.onclick = () => exportLeaderboard('csv');
+ui.exportLeaderboardJson.onclick = () => exportLeaderboard('json');
+
+// Counter chart range selector
+ui.chartRangeButtons.forEach(button => {
+    button.onclick = () => {
+        chartRange = button.dataset.range;
+        drawCounterChart();
+    };
+});
+// Keep relative times in the activity feed current
+setInterval(() => {
+    if (currentRoute?.name === 'activity') renderActivityFeed();
+}, ACTIVITY_FEED_REFRESH_MS);
+window.addEventListener('resize', () => {
+    if (!ui.counterChartContainer.classList.contains('hidden')) drawCounterChart();
+});
+
+// Full leaderboard controls
+ui.fullLeaderboardSearch.oninput = () => {
+    fullLeaderboardPage = 0;
+    renderFullLeaderboard();
+};
+ui.fullLeaderboardSort.onchange = () => {
+    fullLeaderboardPage = 0;
+    renderFullLeaderboard();
+};
+ui.fullLeaderboardPrev.onclick = () => {
+    fullLeaderboardPage = Math.max(0, fullLeaderboardPage - 1);
+    renderFullLeaderboard();
+};
+ui.fullLeaderboardNext.onclick = () => {
+    fullLeaderboardPage += 1;
+    renderFullLeaderboard();
+};
+
+// Admin Console
+ui.adminFeeForm.onsubmit = async (event) => {
+    event.preventDefault();
+
+    const newFee = parseFeeInput(ui.adminFeeInput.value);
+    if (newFee === null) {
+        displayMessage("Invalid fee. Enter a NEX amount with up to 18 decimals.", "error");
         return;
     }
-    
-    console.log('🔧 Reset button clicked');
-    
-    const newValueStr = window.prompt("Enter new counter value (must be a non-negative whole number):");
-    
-    console.log('📝 User entered:', newValueStr);
-    
-    if (newValueStr === null) {
-        console.log('❌ Reset cancelled by user');
+
+    await sendAdminTransaction({
+        functionName: 'setFee',
+        args: [newFee],
+        button: ui.setFeeBtn,
+        pendingText: 'Updating...',
+        actionLabel: 'Fee update',
+        successMessage: `✅ Fee set to ${formatEther(newFee)} NEX successfully!`,
+    });
+};
+
+ui.adminThresholdsForm.onsubmit = async (event) => {
+    event.preventDefault();
+
+    const { values, error } = parseThresholdInputs();
+    if (error) {
+        displayMessage(error, "error");
         return;
     }
-    
-    const trimmedValue = newValueStr.trim();
-    const newValue = Number(trimmedValue);
-    
-    console.log('🔍 Validating:', { trimmedValue, newValue, isNaN: isNaN(newValue), isInteger: Number.isInteger(newValue) });
-    
-    if (isNaN(newValue) || !Number.isInteger(newValue) || newValue < 0) {
+
+    await sendAdminTransaction({
+        functionName: 'setBadgeThresholds',
+        args: values,
+        button: ui.setThresholdsBtn,
+        pendingText: 'Updating...',
+        actionLabel: 'Threshold update',
+        successMessage: '✅ Badge thresholds updated successfully!',
+    });
+};
+
+ui.adminResetForm.onsubmit = async (event) => {
+    event.preventDefault();
+
+    const newValue = parseWholeNumberInput(ui.resetValueInput.value);
+    if (newValue === null) {
         displayMessage("Invalid input. Please enter a non-negative whole number.", "error");
-        console.log('❌ Validation failed');
         return;
     }
-    
-    console.log('✅ Validation passed, proceeding with reset to:', newValue);
-    
-    let hash;
-    const originalBtnText = ui.resetBtn.textContent;
-    
-    try {
-        ui.resetBtn.disabled = true;
-        ui.resetBtn.innerHTML = '<svg class="animate-spin inline-block w-4 h-4 mr-2" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle><path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>Resetting...';
-        
-        showTxProgress();
-        displayMessage("Sending reset transaction...", "info", null, true);
-        
-        console.log('📤 Sending reset transaction with:', {
-            value: newValue,
-            address: CONTRACT_ADDRESS,
-            chainId: NEXUS_CHAIN_ID_DEC,
-            userAddress
-        });
-        
-        const result = await writeContract(wagmiConfig, {
-            address: CONTRACT_ADDRESS,
-            abi: CONTRACT_ABI,
-            functionName: 'resetCounter',
-            args: [BigInt(newValue)],
-            chainId: NEXUS_CHAIN_ID_DEC,
-        });
-        
-        hash = result;
-        
-        console.log('✅ Transaction sent:', hash);
-        displayMessage("Waiting for confirmation...", "info", hash, true);
-        
-        const receipt = await waitForTransactionReceipt(wagmiConfig, { 
-            hash, 
-            chainId: NEXUS_CHAIN_ID_DEC,
-            timeout: 60000
-        });
-        
-        hideTxProgress();
-        console.log('📦 Transaction receipt:', receipt);
-        
-        if (receipt.status === 'success') {
-            displayMessage(`✅ Counter reset to ${newValue} successfully!`, "success", hash, false);
-            // Event listener will handle the counter update
-            console.log('🎉 Reset completed successfully');
-        } else {
-            displayMessage('Transaction failed (Status: Reverted).', 'error', hash, false);
-            console.log('❌ Transaction reverted');
-        }
-    } catch (e) {
-        console.error('❌ Reset error:', e);
-        hideTxProgress();
-        
-        let displayReason = 'Reset failed.';
-        
-        if (e.message?.includes('User rejected') || e.message?.includes('user rejected')) {
-            displayReason = 'Reset cancelled by user.';
-        } else if (e.message?.includes('OwnableUnauthorizedAccount') || e.message?.includes('Ownable')) {
-            displayReason = 'Reset failed: Only the contract owner can reset the counter.';
-        } else if (e.shortMessage) {
-            displayReason = `Reset failed: ${e.shortMessage}`;
-        } else if (e.message) {
-            const msg = e.message.split('\n')[0].trim();
-            displayReason = `Reset failed: ${msg}`;
-        }
-        
-        displayMessage(displayReason, "error", hash, false);
-    } finally {
-        ui.resetBtn.disabled = false;
-        ui.resetBtn.textContent = originalBtnText;
-        console.log('🔄 Reset button restored');
-    }
-}
+
+    const reset = await sendAdminTransaction({
+        functionName: 'resetCounter',
+        args: [newValue],
+        button: ui.resetBtn,
+        pendingText: 'Resetting...',
+        actionLabel: 'Reset',
+        successMessage: `✅ Counter reset to ${newValue} successfully!`,
+        txType: 'reset',
+    });
+
+    // Event listener will handle the counter update
+    if (reset) ui.resetValueInput.value = '';
+};
 
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
@@ -0,0 +1,85 @@
+// Pending transaction watcher. Kept apart from main.js (no wagmi config, no DOM)
+// so its outcome handling can be exercised with a stubbed client in tests.
+
+import {
+  BaseError,
+  TransactionNotFoundError,
+  WaitForTransactionReceiptTimeoutError,
+  decodeErrorResult
+} from 'viem';
+
+// Revert reason from the error wagmi throws for a reverted receipt: a plain Error
+// carrying the reason, or the error from replaying the call (revert data on the
+// cause chain, decoded against `abi` plus the built-in Error(string) / Panic)
+export function getRevertReason(error, abi = []) {
+    if (!(error instanceof BaseError)) return error?.message || undefined;
+
+    const withData = error.walk(err => typeof err?.data === 'string' && err.data.startsWith('0x') && err.data.length >= 10);
+    if (!withData) return undefined;
+    try {
+        const { errorName, args } = decodeErrorResult({ abi, data: withData.data });
+        return errorName === 'Error' ? args[0] : errorName;
+    } catch {
+        return undefined;
+    }
+}
+
+// Wait for a hash until it is mined, replaced or dropped. Resolves (never throws) with
+// { status, hash, receipt?, reason?, replacedBy? } where status is one of
+// 'confirmed' | 'failed' | 'replaced' | 'cancelled' | 'dropped' and hash is the mined hash.
+//
+// `client` wraps the chain-bound actions: waitForTransactionReceipt, getTransaction and
+// getTransactionReceipt, each taking viem's parameters. `classifyError` is the app's
+// error classifier ({ code, message, ... }); CONTRACT_REVERT fails the tx, anything
+// else (RPC_TIMEOUT, RPC_ERROR, ...) is retried.
+export async function watchPendingTransaction(entry, client, { pollTimeoutMs, retryDelayMs, abi, classifyError = () => ({ code: 'UNKNOWN' }) } = {}) {
+    while (true) {
+        let replacement = null;
+        try {
+            const receipt = await client.waitForTransactionReceipt({
+                hash: entry.hash,
+                timeout: pollTimeoutMs,
+                onReplaced: (info) => { replacement = info; },
+            });
+
+            if (!replacement) return { status: 'confirmed', hash: entry.hash, receipt };
+
+            const replacedBy = replacement.transaction.hash;
+            // A repriced tx is the same call with different gas, so it still counts
+            if (replacement.reason === 'repriced') {
+                return { status: 'confirmed', hash: replacedBy, receipt, replacedBy };
+            }
+            return { status: replacement.reason, hash: entry.hash, replacedBy };
+        } catch (e) {
+            const minedHash = replacement?.transaction.hash ?? entry.hash;
+
+            // wagmi replays a reverted tx to read its reason, and that replay usually reverts
+            // too (CallExecutionError), so the receipt is what says the tx was mined and failed
+            const receipt = await client.getTransactionReceipt({ hash: minedHash }).catch(() => null);
+            const failure = classifyError(e);
+            // A plain Error is wagmi's own, carrying the reason of a reverted receipt
+            if (receipt?.status === 'reverted' || failure.code === 'CONTRACT_REVERT' || !(e instanceof BaseError)) {
+                const reason = getRevertReason(e, abi) ?? (failure.code === 'CONTRACT_REVERT' ? failure.message : undefined);
+                const outcome = { status: 'failed', hash: minedHash, reason };
+                if (receipt) outcome.receipt = receipt;
+                if (replacement) outcome.replacedBy = minedHash;
+                return outcome;
+            }
+
+            if (e instanceof WaitForTransactionReceiptTimeoutError) {
+                try {
+                    await client.getTransaction({ hash: entry.hash });
+                } catch (lookupError) {
+                    // Unknown to the node after a full wait: it left the mempool without being mined
+                    if (lookupError instanceof TransactionNotFoundError) return { status: 'dropped', hash: entry.hash };
+                    console.warn(`Could not look up ${entry.hash}, retrying:`, lookupError.shortMessage || lookupError.message);
+                    await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+                }
+                continue;
+            }
+
+            console.warn(`Error while waiting for ${entry.hash} [${failure.code}], retrying:`, e.shortMessage || e.message);
+            await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+        }
+    }
+}
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+
+import { resolveProfiles } from '../api/identities.js';
+import { createMemoryStore, setStore } from '../api/_lib/store.js';
+
+const KNOWN = `0x${'1'.repeat(40)}`;
+const UNKNOWN = `0x${'2'.repeat(40)}`;
+const PROFILE = { fid: 7, username: 'alice', displayName: 'Alice', pfpUrl: null };
+
+// Memory store that counts round trips
+function countingStore() {
+    const store = createMemoryStore();
+    const calls = { get: 0, set: 0, getMany: 0, setMany: 0 };
+    for (const method of Object.keys(calls)) {
+        const original = store[method];
+        store[method] = (...args) => {
+            calls[method] += 1;
+            return original(...args);
+        };
+    }
+    return { store, calls };
+}
+
+describe('resolveProfiles', () => {
+    let dir;
+    let store;
+    let calls;
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'nexus-identities-'));
+        const fixturePath = path.join(dir, 'identities.json');
+        await writeFile(fixturePath, JSON.stringify({ [KNOWN]: PROFILE }));
+        process.env.IDENTITY_FIXTURE_PATH = fixturePath;
+    });
+
+    after(async () => {
+        delete process.env.IDENTITY_FIXTURE_PATH;
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        ({ store, calls } = countingStore());
+        setStore(store);
+    });
+
+    it('reads and writes the cache in one batch each', async () => {
+        const profiles = await resolveProfiles([KNOWN, UNKNOWN]);
+
+        assert.deepEqual(profiles, { [KNOWN]: PROFILE });
+        assert.deepEqual(calls, { get: 0, set: 0, getMany: 1, setMany: 1 });
+    });
+
+    it('answers from the cache, misses included, on the next request', async () => {
+        await resolveProfiles([KNOWN, UNKNOWN]);
+        const profiles = await resolveProfiles([KNOWN, UNKNOWN]);
+
+        assert.deepEqual(profiles, { [KNOWN]: PROFILE });
+        assert.equal(calls.setMany, 1);
+    });
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  CallExecutionError,
+  ExecutionRevertedError,
+  HttpRequestError,
+  RpcRequestError,
+  TransactionNotFoundError,
+  TransactionReceiptNotFoundError,
+  WaitForTransactionReceiptTimeoutError,
+  encodeErrorResult,
+  parseAbi
+} from 'viem';
+
+import { watchPendingTransaction } from '../pending-tx.js';
+
+const HASH = `0x${'a'.repeat(64)}`;
+const OPTIONS = { pollTimeoutMs: 10, retryDelayMs: 0 };
+
+// Client whose actions answer from queues of results; an Error entry is thrown
+function stubClient({ receipts = [], transactions = [], lookups = [] }) {
+    const calls = { wait: 0, getTransaction: 0, getTransactionReceipt: 0 };
+    const next = async (queue, key) => {
+        const result = queue[Math.min(calls[key]++, queue.length - 1)];
+        if (result instanceof Error) throw result;
+        return result;
+    };
+    return {
+        calls,
+        waitForTransactionReceipt: () => next(receipts, 'wait'),
+        getTransaction: () => next(transactions, 'getTransaction'),
+        getTransactionReceipt: () => next(lookups, 'getTransactionReceipt'),
+    };
+}
+
+// What wagmi throws when replaying a reverted tx to read its reason
+function replayRevertError(reason) {
+    const data = encodeErrorResult({
+        abi: parseAbi(['error Error(string)']),
+        errorName: 'Error',
+        args: [reason],
+    });
+    const rpcError = new RpcRequestError({
+        body: { method: 'eth_call' },
+        error: { code: 3, message: `execution reverted: ${reason}`, data },
+        url: 'http://localhost',
+    });
+    return new CallExecutionError(new ExecutionRevertedError({ cause: rpcError, message: rpcError.details }), {});
+}
+
+describe('watchPendingTransaction', () => {
+    it('confirms a mined transaction', async () => {
+        const receipt = { status: 'success', transactionHash: HASH };
+        const outcome = await watchPendingTransaction({ hash: HASH }, stubClient({ receipts: [receipt] }), OPTIONS);
+        assert.deepEqual(outcome, { status: 'confirmed', hash: HASH, receipt });
+    });
+
+    it('fails a reverted receipt instead of retrying the replay error', async () => {
+        const receipt = { status: 'reverted', transactionHash: HASH };
+        const client = stubClient({
+            receipts: [replayRevertError('Action locked: wait')],
+            lookups: [receipt],
+        });
+        const outcome = await watchPendingTransaction({ hash: HASH }, client, OPTIONS);
+        assert.deepEqual(outcome, { status: 'failed', hash: HASH, receipt, reason: 'Action locked: wait' });
+        assert.equal(client.calls.wait, 1);
+    });
+
+    it('fails with the reason wagmi reads from a successful replay', async () => {
+        const client = stubClient({
+            receipts: [new Error('Counter already zero')],
+            lookups: [{ status: 'reverted', transactionHash: HASH }],
+        });
+        const outcome = await watchPendingTransaction({ hash: HASH }, client, OPTIONS);
+        assert.equal(outcome.status, 'failed');
+        assert.equal(outcome.reason, 'Counter already zero');
+    });
+
+    it('fails when the classifier reports a contract revert and the receipt is unavailable', async () => {
+        const client = stubClient({
+            receipts: [replayRevertError('Counter already zero')],
+            lookups: [new HttpRequestError({ url: 'http://localhost', status: 503 })],
+        });
+        const classifyError = (error) => error instanceof CallExecutionError
+            ? { code: 'CONTRACT_REVERT', message: 'Decrement failed: Counter is already zero.' }
+            : { code: 'UNKNOWN' };
+        const outcome = await watchPendingTransaction({ hash: HASH }, client, { ...OPTIONS, classifyError });
+        assert.deepEqual(outcome, { status: 'failed', hash: HASH, reason: 'Counter already zero' });
+    });
+
+    it('drops a transaction the node no longer knows after a full wait', async () => {
+        const client = stubClient({
+            receipts: [new WaitForTransactionReceiptTimeoutError({ hash: HASH })],
+            lookups: [new TransactionReceiptNotFoundError({ hash: HASH })],
+            transactions: [new TransactionNotFoundError({ hash: HASH })],
+        });
+        const outcome = await watchPendingTransaction({ hash: HASH }, client, OPTIONS);
+        assert.deepEqual(outcome, { status: 'dropped', hash: HASH });
+    });
+
+    it('keeps waiting when the transaction lookup itself fails', async () => {
+        const receipt = { status: 'success', transactionHash: HASH };
+        const client = stubClient({
+            receipts: [new WaitForTransactionReceiptTimeoutError({ hash: HASH }), receipt],
+            lookups: [new TransactionReceiptNotFoundError({ hash: HASH })],
+            transactions: [new HttpRequestError({ url: 'http://localhost', status: 503 })],
+        });
+        const outcome = await watchPendingTransaction({ hash: HASH }, client, OPTIONS);
+        assert.equal(outcome.status, 'confirmed');
+        assert.equal(client.calls.wait, 2);
+    });
+
+    it('retries after RPC errors while the receipt is not available', async () => {
+        const receipt = { status: 'success', transactionHash: HASH };
+        const client = stubClient({
+            receipts: [new HttpRequestError({ url: 'http://localhost', status: 502 }), receipt],
+            lookups: [new TransactionReceiptNotFoundError({ hash: HASH })],
+        });
+        const outcome = await watchPendingTransaction({ hash: HASH }, client, OPTIONS);
+        assert.equal(outcome.status, 'confirmed');
+        assert.equal(client.calls.wait, 2);
+    });
+});
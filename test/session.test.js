@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { consumeNonce, createNonce } from '../api/_lib/session.js';
+import { createFileStore, createMemoryStore, setStore } from '../api/_lib/store.js';
+
+describe('store', () => {
+    it('hands a memory store value to one of several concurrent callers', async () => {
+        const store = createMemoryStore({ key: 'value' });
+
+        const results = await Promise.all([store.take('key'), store.take('key')]);
+
+        assert.deepEqual(results.sort(), ['value', null].sort());
+        assert.equal(await store.get('key'), null);
+    });
+
+    it('drops entries once their TTL has passed', async () => {
+        const store = createMemoryStore();
+        await store.set('short', 'value', 1);
+        await store.set('kept', 'value');
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        assert.equal(await store.get('short'), null);
+        assert.deepEqual(await store.list(), [['kept', 'value']]);
+    });
+});
+
+describe('consumeNonce', () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'nexus-session-'));
+        setStore(createFileStore(path.join(dir, 'store.json')));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('accepts a nonce once, also when presented concurrently', async () => {
+        await createNonce('abc');
+
+        const results = await Promise.all([consumeNonce('abc'), consumeNonce('abc')]);
+
+        assert.deepEqual(results.sort(), [false, true]);
+        assert.equal(await consumeNonce('abc'), false);
+    });
+
+    it('rejects an unknown nonce', async () => {
+        assert.equal(await consumeNonce('never-issued'), false);
+    });
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import { beforeEach, describe, it } from 'node:test';
+import { createJsonFarcasterSignature } from '@farcaster/miniapp-node';
+
+import { createMemoryStore, setStore } from '../api/_lib/store.js';
+import handler from '../api/webhook.js';
+
+const FID = 123;
+const NOTIFICATION_DETAILS = { url: 'https://api.farcaster.xyz/v1/frame-notifications', token: 'token-1' };
+
+// The app key is checked against the signature only (see api/webhook.js)
+process.env.FARCASTER_VERIFY_APP_KEY = 'skip';
+
+function signEvent(event, { fid = FID, privateKey = randomBytes(32) } = {}) {
+    return createJsonFarcasterSignature({
+        fid,
+        type: 'app_key',
+        privateKey,
+        payload: new TextEncoder().encode(JSON.stringify(event)),
+    });
+}
+
+// Just enough of Vercel's request/response for the handler
+async function callWebhook(body, method = 'POST') {
+    const res = {
+        statusCode: null,
+        body: null,
+        headers: {},
+        setHeader(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this.body = data; return this; },
+    };
+    await handler({ method, body }, res);
+    return res;
+}
+
+describe('webhook', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createMemoryStore();
+        setStore(store);
+    });
+
+    it('stores the notification token from a signed miniapp_added event', async () => {
+        const res = await callWebhook(signEvent({ event: 'miniapp_added', notificationDetails: NOTIFICATION_DETAILS }));
+
+        assert.equal(res.statusCode, 200);
+        const saved = await store.get(`notifications:${FID}`);
+        assert.equal(saved.token, NOTIFICATION_DETAILS.token);
+        assert.equal(saved.url, NOTIFICATION_DETAILS.url);
+    });
+
+    it('drops the token and any reminder on notifications_disabled', async () => {
+        await store.set(`notifications:${FID}`, NOTIFICATION_DETAILS);
+        await store.set(`reminder:${FID}`, { readyAt: Date.now() });
+
+        const res = await callWebhook(signEvent({ event: 'notifications_disabled' }));
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(await store.get(`notifications:${FID}`), null);
+        assert.equal(await store.get(`reminder:${FID}`), null);
+    });
+
+    it('rejects a payload that does not match its signature', async () => {
+        const signed = signEvent({ event: 'miniapp_added', notificationDetails: NOTIFICATION_DETAILS });
+        const forged = signEvent({ event: 'miniapp_added', notificationDetails: { ...NOTIFICATION_DETAILS, token: 'forged' } });
+
+        const res = await callWebhook({ ...signed, payload: forged.payload });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(await store.get(`notifications:${FID}`), null);
+    });
+
+    it('rejects a body that is not a JSON Farcaster Signature', async () => {
+        const res = await callWebhook({ event: 'miniapp_added', notificationDetails: NOTIFICATION_DETAILS });
+
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(await store.list(), []);
+    });
+
+    it('rejects a signed payload that is not a webhook event', async () => {
+        const res = await callWebhook(signEvent({ event: 'something_else' }));
+
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(await store.list(), []);
+    });
+
+    it('refuses to skip app key verification when deployed', async () => {
+        process.env.VERCEL_ENV = 'production';
+        try {
+            const res = await callWebhook(signEvent({ event: 'miniapp_added', notificationDetails: NOTIFICATION_DETAILS }));
+
+            assert.equal(res.statusCode, 500);
+            assert.deepEqual(await store.list(), []);
+        } finally {
+            delete process.env.VERCEL_ENV;
+        }
+    });
+
+    it('only accepts POST', async () => {
+        const res = await callWebhook(undefined, 'GET');
+
+        assert.equal(res.statusCode, 405);
+        assert.equal(res.headers.Allow, 'POST');
+    });
+});